@@ -0,0 +1,170 @@
+// User accounts and their favorite locations, stored in SQLite. Favorites are
+// kept in a per-user `position` order with an optional display label.
+// Client mistakes are thrown as errors carrying an HTTP `status`.
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function toUser(row) {
+    return { id: row.id, email: row.email, createdAt: row.created_at };
+}
+
+function toFavorite(row) {
+    return {
+        id: row.id,
+        locationId: row.location_id,
+        name: row.name,
+        country: row.country,
+        label: row.label,
+        position: row.position
+    };
+}
+
+function createAccountStore(db) {
+    const statements = {
+        insertUser: db.prepare('INSERT INTO users (email, password_hash, created_at) VALUES (?, ?, ?)'),
+        userByEmail: db.prepare('SELECT * FROM users WHERE email = ?'),
+        userById: db.prepare('SELECT * FROM users WHERE id = ?'),
+        favorites: db.prepare('SELECT * FROM favorites WHERE user_id = ? ORDER BY position'),
+        favorite: db.prepare('SELECT * FROM favorites WHERE user_id = ? AND id = ?'),
+        favoriteByLocation: db.prepare('SELECT * FROM favorites WHERE user_id = ? AND location_id = ?'),
+        nextPosition: db.prepare('SELECT COALESCE(MAX(position) + 1, 0) AS position FROM favorites WHERE user_id = ?'),
+        insertFavorite: db.prepare(`
+            INSERT INTO favorites (user_id, location_id, name, country, label, position, created_at)
+            VALUES (@userId, @locationId, @name, @country, @label, @position, @createdAt)
+        `),
+        updateLabel: db.prepare('UPDATE favorites SET label = ? WHERE user_id = ? AND id = ?'),
+        updatePosition: db.prepare('UPDATE favorites SET position = ? WHERE user_id = ? AND id = ?'),
+        deleteFavorite: db.prepare('DELETE FROM favorites WHERE user_id = ? AND id = ?'),
+        favoriteLocations: db.prepare('SELECT DISTINCT location_id FROM favorites')
+    };
+
+    function createUser(email, passwordHash) {
+        try {
+            const result = statements.insertUser.run(email, passwordHash, new Date().toISOString());
+            return toUser(statements.userById.get(result.lastInsertRowid));
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                throw httpError(409, 'An account with this email already exists');
+            }
+            throw error;
+        }
+    }
+
+    // Includes the password hash, for login only
+    function findCredentials(email) {
+        const row = statements.userByEmail.get(email);
+        return row ? { user: toUser(row), passwordHash: row.password_hash } : null;
+    }
+
+    function findUser(id) {
+        const row = statements.userById.get(id);
+        return row ? toUser(row) : null;
+    }
+
+    function listFavorites(userId) {
+        return statements.favorites.all(userId).map(toFavorite);
+    }
+
+    function insertFavorite(userId, { locationId, name, country, label }) {
+        const { position } = statements.nextPosition.get(userId);
+        const result = statements.insertFavorite.run({
+            userId,
+            locationId,
+            name,
+            country: country || null,
+            label: label || null,
+            position,
+            createdAt: new Date().toISOString()
+        });
+        return toFavorite(statements.favorite.get(userId, result.lastInsertRowid));
+    }
+
+    function addFavorite(userId, favorite) {
+        if (statements.favoriteByLocation.get(userId, favorite.locationId)) {
+            throw httpError(409, 'This location is already a favorite');
+        }
+        return insertFavorite(userId, favorite);
+    }
+
+    function getFavorite(userId, favoriteId) {
+        const row = statements.favorite.get(userId, favoriteId);
+        if (!row) {
+            throw httpError(404, 'Favorite not found');
+        }
+        return row;
+    }
+
+    // Rewrites positions 0..n-1 in the given order of favorite IDs
+    const writeOrder = db.transaction((userId, ids) => {
+        ids.forEach((id, position) => statements.updatePosition.run(position, userId, id));
+    });
+
+    function reorderFavorites(userId, ids) {
+        const current = listFavorites(userId).map(favorite => favorite.id);
+        const sameSet = ids.length === current.length && current.every(id => ids.includes(id));
+        if (!sameSet) {
+            throw httpError(400, 'Order must list every favorite ID exactly once');
+        }
+
+        writeOrder(userId, ids);
+        return listFavorites(userId);
+    }
+
+    const updateFavorite = db.transaction((userId, favoriteId, changes) => {
+        getFavorite(userId, favoriteId);
+
+        if (changes.label !== undefined) {
+            statements.updateLabel.run(changes.label || null, userId, favoriteId);
+        }
+
+        if (changes.position !== undefined) {
+            const ids = listFavorites(userId).map(favorite => favorite.id).filter(id => id !== favoriteId);
+            const position = Math.max(0, Math.min(changes.position, ids.length));
+            ids.splice(position, 0, favoriteId);
+            writeOrder(userId, ids);
+        }
+
+        return toFavorite(statements.favorite.get(userId, favoriteId));
+    });
+
+    const removeFavorite = db.transaction((userId, favoriteId) => {
+        getFavorite(userId, favoriteId);
+        statements.deleteFavorite.run(userId, favoriteId);
+        writeOrder(userId, listFavorites(userId).map(favorite => favorite.id));
+    });
+
+    // Appends favorites the user does not have yet, keeping their order;
+    // used to fold browser-stored favorites into the account on login
+    const mergeFavorites = db.transaction((userId, favorites) => {
+        favorites.forEach(favorite => {
+            if (!statements.favoriteByLocation.get(userId, favorite.locationId)) {
+                insertFavorite(userId, favorite);
+            }
+        });
+        return listFavorites(userId);
+    });
+
+    // Every location any user has starred, for the history recorder
+    function listFavoriteLocationIds() {
+        return statements.favoriteLocations.all().map(row => row.location_id);
+    }
+
+    return {
+        createUser,
+        findCredentials,
+        findUser,
+        listFavorites,
+        addFavorite,
+        updateFavorite,
+        reorderFavorites,
+        removeFavorite,
+        mergeFavorites,
+        listFavoriteLocationIds
+    };
+}
+
+module.exports = { createAccountStore };
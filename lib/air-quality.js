@@ -0,0 +1,77 @@
+// Air quality index on a 1-5 scale, computed here from pollutant
+// concentrations (µg/m³) so every provider is graded the same way. Band upper
+// bounds follow the OpenWeatherMap/European scale; the overall index is the
+// worst of the individual pollutants.
+const POLLUTANTS = ['pm2_5', 'pm10', 'o3', 'no2'];
+
+const BANDS = {
+    pm2_5: [10, 25, 50, 75],
+    pm10: [20, 50, 100, 200],
+    o3: [60, 100, 140, 180],
+    no2: [40, 70, 150, 200]
+};
+
+const CATEGORIES = ['good', 'fair', 'moderate', 'poor', 'very-poor'];
+
+const FORECAST_HOURS = 48;
+const FORECAST_STEP_HOURS = 3;
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function pollutantIndex(pollutant, concentration) {
+    const band = BANDS[pollutant].findIndex(upper => concentration < upper);
+    return band === -1 ? CATEGORIES.length : band + 1;
+}
+
+// reading: { time, pm2_5, pm10, o3, no2 }; missing or non-numeric pollutants
+// are skipped, and a reading with none left is graded "unknown" (aqi null)
+function assessReading(reading) {
+    let aqi = 1;
+    let dominantPollutant = null;
+    const components = {};
+
+    for (const pollutant of POLLUTANTS) {
+        const concentration = reading[pollutant];
+        if (!Number.isFinite(concentration)) {
+            components[pollutant] = null;
+            continue;
+        }
+
+        components[pollutant] = round(concentration);
+        const index = pollutantIndex(pollutant, concentration);
+        if (index > aqi || dominantPollutant === null) {
+            aqi = Math.max(aqi, index);
+            dominantPollutant = pollutant;
+        }
+    }
+
+    if (dominantPollutant === null) {
+        return { time: reading.time, aqi: null, category: 'unknown', dominantPollutant, components };
+    }
+
+    return {
+        time: reading.time,
+        aqi,
+        category: CATEGORIES[aqi - 1],
+        dominantPollutant,
+        components
+    };
+}
+
+// Upcoming readings thinned to the same 3-hour steps as the weather forecast
+function summarizeForecast(readings, now = Date.now() / 1000) {
+    const horizon = now + FORECAST_HOURS * 3600;
+
+    return readings
+        .filter(reading => reading.time > now && reading.time <= horizon)
+        .filter(reading => reading.time % (FORECAST_STEP_HOURS * 3600) === 0)
+        .map(assessReading);
+}
+
+module.exports = {
+    assessReading,
+    summarizeForecast
+};
@@ -0,0 +1,99 @@
+// Weather alerts: government alerts passed through from the provider, plus
+// threshold warnings derived from data we already fetch. Thresholds are in
+// the providers' metric units and ordered from least to most severe.
+const THRESHOLDS = {
+    heat: { field: 'temperature', above: true, levels: [['moderate', 32], ['severe', 38]] },
+    frost: { field: 'temperature', above: false, levels: [['moderate', 0], ['severe', -10]] },
+    wind: { field: 'windSpeed', above: true, levels: [['moderate', 14], ['severe', 21]] }, // m/s
+    rain: { field: 'rain', above: true, levels: [['moderate', 7.5], ['severe', 15]] } // mm per 3-hour slot
+};
+
+// UV index bands: 6-7 high, 8 and over very high to extreme
+const UV_LEVELS = [['moderate', 6], ['severe', 8]];
+
+// Air quality index 4 is "poor", 5 "very poor"
+const AIR_QUALITY_LEVELS = [['moderate', 4], ['severe', 5]];
+
+const SEVERITY_ORDER = ['severe', 'moderate', 'minor'];
+const SLOT_SECONDS = 3 * 60 * 60;
+
+function severityFor(value, levels, above = true) {
+    let severity = null;
+    for (const [level, threshold] of levels) {
+        if (above ? value >= threshold : value <= threshold) {
+            severity = level;
+        }
+    }
+    return severity;
+}
+
+function moreSevere(a, b) {
+    return SEVERITY_ORDER.indexOf(a) <= SEVERITY_ORDER.indexOf(b) ? a : b;
+}
+
+// One warning per run of consecutive slots over a threshold, carrying the
+// worst severity and the peak value seen during the run
+function deriveWarnings(slots) {
+    const warnings = [];
+
+    for (const [type, { field, above, levels }] of Object.entries(THRESHOLDS)) {
+        let active = null;
+
+        slots.forEach((slot, index) => {
+            const value = slot[field];
+            // A missing reading is no evidence of anything: null must not read as 0 °C frost
+            const severity = Number.isFinite(value) ? severityFor(value, levels, above) : null;
+
+            if (!severity) {
+                active = null;
+                return;
+            }
+
+            const end = slots[index + 1]?.time ?? slot.time + SLOT_SECONDS;
+            if (active) {
+                active.severity = moreSevere(active.severity, severity);
+                active.peak = above ? Math.max(active.peak, value) : Math.min(active.peak, value);
+                active.end = end;
+            } else {
+                active = { type, severity, start: slot.time, end, peak: value };
+                warnings.push(active);
+            }
+        });
+    }
+
+    return warnings;
+}
+
+function uvWarning(uvIndex, observedAt) {
+    const severity = uvIndex == null ? null : severityFor(uvIndex, UV_LEVELS);
+    return severity
+        ? { type: 'uv', severity, start: observedAt, end: null, peak: uvIndex }
+        : null;
+}
+
+function airQualityWarning(reading) {
+    const severity = reading.aqi == null ? null : severityFor(reading.aqi, AIR_QUALITY_LEVELS);
+    return severity
+        ? { type: 'air', severity, start: reading.time, end: null, peak: reading.aqi, pollutant: reading.dominantPollutant }
+        : null;
+}
+
+// Government alerts have no common severity scale; "warning" and "emergency"
+// are the highest levels used by most national services
+function governmentSeverity(event) {
+    return /warning|emergency/i.test(event) ? 'severe' : 'moderate';
+}
+
+function sortAlerts(alerts) {
+    return alerts.sort((a, b) =>
+        SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+        a.start - b.start);
+}
+
+module.exports = {
+    airQualityWarning,
+    deriveWarnings,
+    governmentSeverity,
+    sortAlerts,
+    uvWarning
+};
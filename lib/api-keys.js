@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+// API keys for programmatic consumers, stored in SQLite. Only a SHA-256 hash
+// of each key is kept; the key itself is shown once, when it is issued.
+// Client mistakes are thrown as errors carrying an HTTP `status`.
+
+const KEY_PREFIX = 'wdk_';
+const DEFAULT_PER_MINUTE = 300;
+const DEFAULT_PER_DAY = 50000;
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function toApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        // Enough of the key to recognize it, not to use it
+        prefix: row.prefix,
+        perMinute: row.per_minute,
+        perDay: row.per_day,
+        requests: row.requests,
+        points: row.points,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at,
+        revokedAt: row.revoked_at
+    };
+}
+
+function createApiKeyStore(db) {
+    const statements = {
+        insert: db.prepare(`
+            INSERT INTO api_keys (name, prefix, key_hash, per_minute, per_day, created_at)
+            VALUES (@name, @prefix, @keyHash, @perMinute, @perDay, @createdAt)
+        `),
+        byId: db.prepare('SELECT * FROM api_keys WHERE id = ?'),
+        byHash: db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL'),
+        all: db.prepare('SELECT * FROM api_keys ORDER BY id'),
+        recordUse: db.prepare('UPDATE api_keys SET requests = requests + 1, points = points + ?, last_used_at = ? WHERE id = ?'),
+        revoke: db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+    };
+
+    // Returns the new key's record with the key itself, which is not stored
+    function issueKey({ name, perMinute = DEFAULT_PER_MINUTE, perDay = DEFAULT_PER_DAY }) {
+        const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const result = statements.insert.run({
+            name,
+            prefix: key.slice(0, KEY_PREFIX.length + 6),
+            keyHash: hashKey(key),
+            perMinute,
+            perDay,
+            createdAt: new Date().toISOString()
+        });
+        return { key, ...toApiKey(statements.byId.get(result.lastInsertRowid)) };
+    }
+
+    // The active key's record, or null for unknown and revoked keys
+    function findKey(key) {
+        const row = typeof key === 'string' && key.startsWith(KEY_PREFIX) ? statements.byHash.get(hashKey(key)) : null;
+        return row ? toApiKey(row) : null;
+    }
+
+    function recordUse(id, points) {
+        statements.recordUse.run(points, new Date().toISOString(), id);
+    }
+
+    function listKeys() {
+        return statements.all.all().map(toApiKey);
+    }
+
+    function revokeKey(id) {
+        if (statements.revoke.run(new Date().toISOString(), id).changes === 0) {
+            throw httpError(404, 'API key not found');
+        }
+        return toApiKey(statements.byId.get(id));
+    }
+
+    return {
+        issueKey,
+        findKey,
+        recordUse,
+        listKeys,
+        revokeKey
+    };
+}
+
+module.exports = {
+    DEFAULT_PER_DAY,
+    DEFAULT_PER_MINUTE,
+    createApiKeyStore
+};
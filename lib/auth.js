@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const DEFAULT_TOKEN_TTL = 7 * 24 * 60 * 60; // Seconds
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+        return false;
+    }
+
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return crypto.timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+}
+
+// Stateless access tokens: a base64url JSON payload and its HMAC-SHA256
+// signature. Any web node holding the same AUTH_SECRET can verify a token,
+// so no session store is needed behind the load balancer.
+function createAuth(options = {}) {
+    const configuredSecret = options.secret ?? process.env.AUTH_SECRET;
+    const secret = configuredSecret || crypto.randomBytes(32).toString('hex');
+    const tokenTtl = options.tokenTtl || parseInt(process.env.AUTH_TOKEN_TTL, 10) || DEFAULT_TOKEN_TTL;
+
+    const adminToken = options.adminToken ?? process.env.ADMIN_TOKEN;
+
+    const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+    function issueToken(userId) {
+        const now = Math.floor(Date.now() / 1000);
+        const payload = base64url(JSON.stringify({ sub: userId, iat: now, exp: now + tokenTtl }));
+        return `${payload}.${sign(payload)}`;
+    }
+
+    // Returns the token's claims, or null when it is malformed, forged or expired
+    function verifyToken(token) {
+        const [payload, signature] = String(token || '').split('.');
+        if (!payload || !signature) {
+            return null;
+        }
+
+        const expected = Buffer.from(sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        try {
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            return claims.exp > Date.now() / 1000 ? claims : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ADMIN_TOKEN check in constant time; always false when none is configured
+    function verifyAdminToken(token) {
+        if (!adminToken || typeof token !== 'string') {
+            return false;
+        }
+        const digest = (value) => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(token), digest(adminToken));
+    }
+
+    return {
+        // A generated secret only works on one node and is lost on restart
+        ephemeral: !configuredSecret,
+        tokenTtl,
+        hashPassword,
+        verifyPassword,
+        issueToken,
+        verifyToken,
+        verifyAdminToken
+    };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,196 @@
+const Redis = require('ioredis');
+const { logger } = require('./logger');
+
+// Share of each limit held back: once only this much is left, cached data is
+// served even when stale, so the rest goes to lookups nothing is cached for
+const DEFAULT_RESERVE = 0.1;
+
+const WINDOWS = {
+    minute: {
+        label: 'per-minute',
+        duration: 60,
+        current: (now) => String(Math.floor(now / 60000))
+    },
+    // Calendar days in UTC, like the upstream plans count them
+    day: {
+        label: 'daily',
+        duration: 24 * 60 * 60,
+        current: (now) => new Date(now).toISOString().slice(0, 10)
+    }
+};
+
+class BudgetExhaustedError extends Error {
+    constructor(window) {
+        super(`The upstream ${WINDOWS[window].label} request budget is spent; try again later`);
+        this.name = 'BudgetExhaustedError';
+        this.status = 503;
+    }
+}
+
+// Counts of upstream calls per window, in process
+class MemoryCounter {
+    constructor() {
+        this.name = 'memory';
+        this.counts = new Map();
+    }
+
+    async increment(window, id) {
+        const key = `${window}:${id}`;
+        const count = (this.counts.get(key) || 0) + 1;
+        // Only the current window of each kind is kept
+        for (const existing of this.counts.keys()) {
+            if (existing.startsWith(`${window}:`) && existing !== key) {
+                this.counts.delete(existing);
+            }
+        }
+        this.counts.set(key, count);
+        return count;
+    }
+
+    async decrement(window, id) {
+        const key = `${window}:${id}`;
+        if (this.counts.has(key)) {
+            this.counts.set(key, this.counts.get(key) - 1);
+        }
+    }
+
+    async read(window, id) {
+        return this.counts.get(`${window}:${id}`) || 0;
+    }
+}
+
+// Shared counts, so the budget covers every web node
+class RedisCounter {
+    constructor(url, prefix = 'weather:budget:') {
+        this.name = 'redis';
+        this.prefix = prefix;
+        this.client = new Redis(url, {
+            enableOfflineQueue: false,
+            maxRetriesPerRequest: 1
+        });
+        this.client.on('error', (error) => {
+            logger.error('Redis budget error', { error: error.message });
+        });
+    }
+
+    async increment(window, id) {
+        const key = `${this.prefix}${window}:${id}`;
+        const [[, count]] = await this.client.multi()
+            .incr(key)
+            .expire(key, WINDOWS[window].duration * 2)
+            .exec();
+        return count;
+    }
+
+    async decrement(window, id) {
+        await this.client.decr(`${this.prefix}${window}:${id}`);
+    }
+
+    async read(window, id) {
+        return parseInt(await this.client.get(`${this.prefix}${window}:${id}`), 10) || 0;
+    }
+}
+
+function readLimit(envName) {
+    const value = parseInt(process.env[envName], 10);
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+// Budget for calls to the weather providers, per minute and per UTC day
+// (UPSTREAM_MINUTE_LIMIT, UPSTREAM_DAILY_LIMIT; unset means unlimited, but
+// calls are still counted). spend() records a call, or throws
+// BudgetExhaustedError when a limit has been reached; isLow() says whether
+// callers should settle for stale cached data. A call's slot is counted before
+// it is checked against the limits, so concurrent calls can't overshoot them.
+function createUpstreamBudget(options = {}) {
+    const redisUrl = options.redisUrl ?? process.env.REDIS_URL;
+    const counter = redisUrl ? new RedisCounter(redisUrl) : new MemoryCounter();
+    const limits = {
+        minute: options.minuteLimit !== undefined ? options.minuteLimit : readLimit('UPSTREAM_MINUTE_LIMIT'),
+        day: options.dailyLimit !== undefined ? options.dailyLimit : readLimit('UPSTREAM_DAILY_LIMIT')
+    };
+    const reserveRatio = options.reserve ?? (parseFloat(process.env.UPSTREAM_BUDGET_RESERVE) || DEFAULT_RESERVE);
+
+    // Last known count per window, so isLow() can answer without a round trip;
+    // with Redis it catches up with other nodes' calls on every spend()
+    const known = {};
+
+    const countOf = (window, now = Date.now()) => {
+        const entry = known[window];
+        return entry && entry.id === WINDOWS[window].current(now) ? entry.count : 0;
+    };
+
+    const remainingOf = (window) => limits[window] === null ? null : Math.max(limits[window] - countOf(window), 0);
+
+    const reserveOf = (window) => Math.ceil(limits[window] * reserveRatio);
+
+    function isLow() {
+        return Object.keys(WINDOWS).some(window => limits[window] !== null && remainingOf(window) <= reserveOf(window));
+    }
+
+    async function spend() {
+        for (const window of Object.keys(WINDOWS)) {
+            if (limits[window] !== null && remainingOf(window) === 0) {
+                throw new BudgetExhaustedError(window);
+            }
+        }
+
+        // Take a slot in every window first, then give them back if one of
+        // them went over its limit
+        const now = Date.now();
+        const slots = await Promise.all(Object.keys(WINDOWS).map(async (window) => {
+            const id = WINDOWS[window].current(now);
+            try {
+                const count = await counter.increment(window, id);
+                known[window] = { id, count };
+                return { window, id, counted: true, over: limits[window] !== null && count > limits[window] };
+            } catch (error) {
+                // Counting is best effort: an unreachable store must not block upstream calls
+                logger.error('Upstream budget count failed', { error: error.message });
+                known[window] = { id, count: countOf(window, now) + 1 };
+                return { window, id, counted: false, over: false };
+            }
+        }));
+
+        const over = slots.find(slot => slot.over);
+        if (over) {
+            await Promise.all(slots.filter(slot => slot.counted).map(async ({ window, id }) => {
+                try {
+                    await counter.decrement(window, id);
+                    known[window] = { id, count: known[window].count - 1 };
+                } catch (error) {
+                    logger.error('Upstream budget release failed', { error: error.message });
+                }
+            }));
+            throw new BudgetExhaustedError(over.window);
+        }
+    }
+
+    async function status() {
+        const now = Date.now();
+        const windows = {};
+        for (const window of Object.keys(WINDOWS)) {
+            const id = WINDOWS[window].current(now);
+            try {
+                known[window] = { id, count: await counter.read(window, id) };
+            } catch (error) {
+                logger.error('Upstream budget read failed', { error: error.message });
+            }
+            windows[window] = { used: countOf(window, now), limit: limits[window], remaining: remainingOf(window) };
+        }
+
+        const exhausted = Object.keys(WINDOWS).some(window => windows[window].remaining === 0);
+        return {
+            store: counter.name,
+            state: exhausted ? 'exhausted' : isLow() ? 'low' : 'ok',
+            ...windows
+        };
+    }
+
+    return { spend, isLow, status };
+}
+
+module.exports = {
+    BudgetExhaustedError,
+    createUpstreamBudget
+};
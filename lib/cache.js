@@ -0,0 +1,193 @@
+const Redis = require('ioredis');
+const { logger } = require('./logger');
+
+// Default time-to-live per upstream endpoint, in seconds
+const DEFAULT_TTLS = {
+    geocode: 7 * 24 * 60 * 60, // City coordinates rarely change
+    current: 10 * 60,
+    forecast: 60 * 60,
+    alerts: 10 * 60,
+    airQuality: 30 * 60
+};
+
+// How long entries are kept past their TTL, to be served stale when the
+// upstream fails or its request budget runs low
+const DEFAULT_STALE_TTL = 24 * 60 * 60;
+
+const MAX_MEMORY_ENTRIES = 1000;
+
+// In-process store, used when no shared backend is configured
+class MemoryStore {
+    constructor(maxEntries = MAX_MEMORY_ENTRIES) {
+        this.name = 'memory';
+        this.entries = new Map();
+        this.maxEntries = maxEntries;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        return { value: entry.value, storedAt: entry.storedAt, ttl: entry.ttl };
+    }
+
+    // The entry is fresh for `ttl` seconds and kept for `ttl + staleTtl`
+    async set(key, value, ttl, staleTtl = 0) {
+        const now = Date.now();
+        this.entries.delete(key);
+        this.entries.set(key, { value, storedAt: now, ttl, expiresAt: now + (ttl + staleTtl) * 1000 });
+
+        if (this.entries.size > this.maxEntries) {
+            this.prune();
+        }
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+
+        // Still too big: drop the oldest insertions first
+        for (const key of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries) {
+                break;
+            }
+            this.entries.delete(key);
+        }
+    }
+}
+
+// Shared store so every web node behind the load balancer sees the same entries
+class RedisStore {
+    constructor(url, prefix = 'weather:cache:') {
+        this.name = 'redis';
+        this.prefix = prefix;
+        this.client = new Redis(url, {
+            enableOfflineQueue: false,
+            maxRetriesPerRequest: 1
+        });
+        this.client.on('error', (error) => {
+            logger.error('Redis cache error', { error: error.message });
+        });
+    }
+
+    async get(key) {
+        const raw = await this.client.get(this.prefix + key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async set(key, value, ttl, staleTtl = 0) {
+        const entry = JSON.stringify({ value, storedAt: Date.now(), ttl });
+        await this.client.set(this.prefix + key, entry, 'EX', ttl + staleTtl);
+    }
+}
+
+function readTtl(envName, fallback) {
+    const value = parseInt(process.env[envName], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function createCache(options = {}) {
+    const redisUrl = options.redisUrl ?? process.env.REDIS_URL;
+    const store = redisUrl ? new RedisStore(redisUrl) : new MemoryStore();
+
+    const ttls = {
+        geocode: readTtl('CACHE_TTL_GEOCODE', DEFAULT_TTLS.geocode),
+        current: readTtl('CACHE_TTL_CURRENT', DEFAULT_TTLS.current),
+        forecast: readTtl('CACHE_TTL_FORECAST', DEFAULT_TTLS.forecast),
+        alerts: readTtl('CACHE_TTL_ALERTS', DEFAULT_TTLS.alerts),
+        airQuality: readTtl('CACHE_TTL_AIR_QUALITY', DEFAULT_TTLS.airQuality)
+    };
+    const staleTtl = options.staleTtl ?? readTtl('CACHE_STALE_TTL', DEFAULT_STALE_TTL);
+
+    // Upstream fetches in flight on this node, by key
+    const pending = new Map();
+
+    // Entries written before TTLs were stored expire with their TTL, so are fresh
+    const isFresh = (entry) => entry.ttl === undefined || Date.now() - entry.storedAt < entry.ttl * 1000;
+
+    const ageOf = (entry) => Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000));
+
+    // Backend failures degrade to a miss instead of failing the request
+    async function getEntry(key) {
+        try {
+            return await store.get(key);
+        } catch (error) {
+            logger.error('Cache read failed', { key, error: error.message });
+            return null;
+        }
+    }
+
+    async function get(key) {
+        const entry = await getEntry(key);
+        return entry && isFresh(entry) ? entry.value : null;
+    }
+
+    async function set(key, value, ttl) {
+        try {
+            await store.set(key, value, ttl, staleTtl);
+        } catch (error) {
+            logger.error('Cache write failed', { key, error: error.message });
+        }
+    }
+
+    // Return the cached value for key, or call fetcher and store its result.
+    // Concurrent misses for the same key share one fetch (the callers that
+    // waited get `coalesced: true`). A stale value is returned (with
+    // `stale: true`) when the fetch fails, or without trying when
+    // `preferStale` is set.
+    async function wrap(key, ttl, fetcher, { preferStale = false } = {}) {
+        const entry = await getEntry(key);
+        const cached = () => ({ value: entry.value, hit: true, stale: !isFresh(entry), age: ageOf(entry) });
+        if (entry && (isFresh(entry) || preferStale)) {
+            return cached();
+        }
+
+        if (pending.has(key)) {
+            return { ...(await pending.get(key)), coalesced: true };
+        }
+
+        const fetching = (async () => {
+            try {
+                const value = await fetcher();
+                await set(key, value, ttl);
+                return { value, hit: false, stale: false, age: 0 };
+            } catch (error) {
+                if (entry) {
+                    logger.warn('Serving stale cache entry after upstream error', { key, error: error.message });
+                    return cached();
+                }
+                throw error;
+            }
+        })();
+        pending.set(key, fetching);
+        const done = () => pending.delete(key);
+        fetching.then(done, done);
+        return fetching;
+    }
+
+    return { store, ttls, get, set, wrap };
+}
+
+// Expose cache status of the primary upstream lookup on the response
+function setCacheHeaders(res, result) {
+    res.setHeader('X-Cache', result.stale ? 'STALE' : result.hit ? 'HIT' : 'MISS');
+    res.setHeader('X-Cache-Age', String(result.age));
+}
+
+module.exports = {
+    MemoryStore,
+    RedisStore,
+    createCache,
+    setCacheHeaders
+};
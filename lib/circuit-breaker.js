@@ -0,0 +1,96 @@
+// Minimal circuit breaker: after `failureThreshold` consecutive failures the
+// circuit opens and calls are rejected until `resetTimeout` has passed. The
+// next call is then let through as a trial (half-open), and calls made while
+// it is in flight are rejected; success closes the circuit again, failure
+// re-opens it.
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+class CircuitOpenError extends Error {
+    constructor(name) {
+        super(`Circuit for ${name} is open`);
+        this.name = 'CircuitOpenError';
+    }
+}
+
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || 3;
+        this.resetTimeout = options.resetTimeout || 30000;
+        this.state = STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.trialInFlight = false;
+    }
+
+    canRequest() {
+        if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+            this.state = STATES.HALF_OPEN;
+        }
+        return this.state !== STATES.OPEN;
+    }
+
+    // isFailure(error) decides whether an error counts against the circuit;
+    // client errors such as "not found" should not trip it
+    async exec(fn, isFailure = () => true) {
+        if (!this.canRequest() || (this.state === STATES.HALF_OPEN && this.trialInFlight)) {
+            throw new CircuitOpenError(this.name);
+        }
+
+        const trial = this.state === STATES.HALF_OPEN;
+        if (trial) {
+            this.trialInFlight = true;
+        }
+        try {
+            const result = await fn();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            if (isFailure(error)) {
+                this.recordFailure(error);
+            }
+            throw error;
+        } finally {
+            if (trial) {
+                this.trialInFlight = false;
+            }
+        }
+    }
+
+    recordSuccess() {
+        this.state = STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    recordFailure(error) {
+        this.failures++;
+        this.lastError = error.message;
+
+        if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+            this.state = STATES.OPEN;
+            this.openedAt = Date.now();
+        }
+    }
+
+    status() {
+        this.canRequest();
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    CircuitOpenError,
+    STATES
+};
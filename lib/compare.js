@@ -0,0 +1,107 @@
+// Ranking for the city comparison. Each city is reduced to metrics in metric
+// units: its current conditions, or averages over the compared forecast days.
+// The "best" score weighs temperature comfort, dryness and calm, each scaled
+// against the other compared cities, so it orders them rather than grading
+// the weather absolutely.
+const COMFORT_TEMPERATURE = 22; // °C
+const MAX_COMPARE_DAYS = 5;
+
+const DEFAULT_WEIGHTS = { temperature: 0.5, precipitation: 0.3, wind: 0.2 };
+
+// Comparators, best city first. Dry spells are common, so driest falls back
+// to the chance of precipitation and then humidity.
+const CRITERIA = {
+    best: (a, b) => b.score - a.score,
+    warmest: (a, b) => b.temperature - a.temperature,
+    driest: (a, b) => a.precipitation - b.precipitation ||
+        (a.precipitationProbability ?? 0) - (b.precipitationProbability ?? 0) ||
+        a.humidity - b.humidity,
+    calmest: (a, b) => a.windSpeed - b.windSpeed
+};
+
+const DEFAULT_CRITERION = 'best';
+
+function mean(values) {
+    return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+function currentMetrics(data) {
+    return {
+        temperature: data.temperature,
+        temperatureMin: null,
+        precipitation: (data.rain || 0) + (data.snow || 0),
+        precipitationProbability: null,
+        windSpeed: data.windSpeed,
+        humidity: data.humidity
+    };
+}
+
+// days: daily summaries from aggregateDaily
+function forecastMetrics(days) {
+    return {
+        temperature: mean(days.map(day => day.temperatureMax)),
+        temperatureMin: mean(days.map(day => day.temperatureMin)),
+        precipitation: days.reduce((total, day) => total + day.rain + day.snow, 0),
+        precipitationProbability: mean(days.map(day => day.pop)),
+        windSpeed: mean(days.map(day => day.windSpeed)),
+        humidity: mean(days.map(day => day.humidity))
+    };
+}
+
+// 0..1 per value, 1 for the best; all equal scores 1
+function scale(values, higherIsBetter) {
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min;
+    return values.map(value => {
+        if (range === 0) {
+            return 1;
+        }
+        const position = (value - min) / range;
+        return higherIsBetter ? position : 1 - position;
+    });
+}
+
+// Scores (0-100) for a list of metrics, in the same order
+function scoreMetrics(metrics, weights = DEFAULT_WEIGHTS) {
+    const comfort = scale(metrics.map(item => -Math.abs(item.temperature - COMFORT_TEMPERATURE)), true);
+    const dryness = scale(metrics.map(item => item.precipitation), false);
+    const calm = scale(metrics.map(item => item.windSpeed), false);
+    const total = weights.temperature + weights.precipitation + weights.wind;
+
+    return metrics.map((item, index) => Math.round(100 * (
+        weights.temperature * comfort[index] +
+        weights.precipitation * dryness[index] +
+        weights.wind * calm[index]
+    ) / total));
+}
+
+// 1-based ranks under the criterion, in the same order; ties share a rank
+function rankMetrics(metrics, criterion = DEFAULT_CRITERION) {
+    const compare = CRITERIA[criterion];
+    const order = metrics.map((item, index) => index).sort((a, b) => compare(metrics[a], metrics[b]));
+    const ranks = new Array(metrics.length);
+
+    order.forEach((index, position) => {
+        const previous = order[position - 1];
+        ranks[index] = position > 0 && compare(metrics[previous], metrics[index]) === 0
+            ? ranks[previous]
+            : position + 1;
+    });
+    return ranks;
+}
+
+function isCriterion(value) {
+    return Object.prototype.hasOwnProperty.call(CRITERIA, value);
+}
+
+module.exports = {
+    CRITERIA,
+    DEFAULT_CRITERION,
+    DEFAULT_WEIGHTS,
+    MAX_COMPARE_DAYS,
+    currentMetrics,
+    forecastMetrics,
+    isCriterion,
+    rankMetrics,
+    scoreMetrics
+};
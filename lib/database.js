@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'weather.db');
+
+// Schema changes are appended here, never edited in place. Each entry runs
+// once, tracked by SQLite's user_version.
+const MIGRATIONS = [
+    `
+    CREATE TABLE users (
+        id INTEGER PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE favorites (
+        id INTEGER PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        location_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        country TEXT,
+        label TEXT,
+        position INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        UNIQUE (user_id, location_id)
+    );
+
+    CREATE INDEX favorites_by_user ON favorites (user_id, position);
+    `,
+    // Recorded current conditions, metric. Both web nodes record the same
+    // cached observations; the primary key makes the second insert a no-op.
+    `
+    CREATE TABLE observations (
+        location_id TEXT NOT NULL,
+        observed_at INTEGER NOT NULL,
+        utc_offset INTEGER NOT NULL DEFAULT 0,
+        temperature REAL,
+        feels_like REAL,
+        humidity REAL,
+        pressure REAL,
+        wind_speed REAL,
+        description TEXT,
+        icon TEXT,
+        source TEXT,
+        PRIMARY KEY (location_id, observed_at)
+    ) WITHOUT ROWID;
+    `,
+    // Keys for programmatic consumers, with their own rate limits. Usage
+    // totals are kept here; the per-window counters live in the rate limiter.
+    `
+    CREATE TABLE api_keys (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        per_minute INTEGER NOT NULL,
+        per_day INTEGER NOT NULL,
+        requests INTEGER NOT NULL DEFAULT 0,
+        points INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT
+    );
+    `
+];
+
+function migrate(db) {
+    // IMMEDIATE takes the write lock up front, so when both web nodes start
+    // together only one of them applies each migration
+    db.transaction(() => {
+        const version = db.pragma('user_version', { simple: true });
+        MIGRATIONS.slice(version).forEach((sql, index) => {
+            db.exec(sql);
+            db.pragma(`user_version = ${version + index + 1}`);
+        });
+    }).immediate();
+}
+
+// Opens (creating if needed) the SQLite database shared by the web nodes
+function openDatabase(filename = process.env.DATABASE_PATH || DEFAULT_PATH) {
+    if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000'); // Wait for the other node's writes instead of failing
+    db.pragma('foreign_keys = ON');
+
+    migrate(db);
+    return db;
+}
+
+module.exports = { openDatabase };
@@ -0,0 +1,172 @@
+// Downloadable versions of the forecast and comparison payloads: CSV for
+// spreadsheets and an iCalendar feed of the forecast (one all-day event per
+// day). Both take the same objects the JSON endpoints return.
+const CALENDAR_REFRESH = 'PT1H';
+const ICAL_LINE_LENGTH = 75; // Octets, CRLF excluded
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ header, value: row => ... }]. The byte order mark makes Excel
+// read the file as UTF-8 (unit symbols, accented descriptions).
+function toCsv(columns, rows) {
+    const lines = [columns.map(column => csvField(column.header))];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvField(column.value(row))));
+    }
+    return `\uFEFF${lines.map(line => line.join(',')).join('\r\n')}\r\n`;
+}
+
+function forecastColumns(units) {
+    return [
+        { header: 'Date', value: day => day.date },
+        { header: 'Day', value: day => day.dayName },
+        { header: `Min temperature (${units.temperature})`, value: day => day.temperature.min },
+        { header: `Max temperature (${units.temperature})`, value: day => day.temperature.max },
+        { header: 'Description', value: day => day.description },
+        { header: 'Humidity (%)', value: day => day.humidity },
+        { header: `Wind speed (${units.windSpeed})`, value: day => day.windSpeed },
+        { header: `Precipitation (${units.precipitation})`, value: day => day.precipitation },
+        { header: `Rain (${units.precipitation})`, value: day => day.rain },
+        { header: `Snow (${units.precipitation})`, value: day => day.snow },
+        { header: 'Precipitation probability (%)', value: day => day.precipitationProbability }
+    ];
+}
+
+// Forecast comparisons are ranked on each city's `summary` of the coming days,
+// so those columns sit next to the current conditions
+function forecastSummaryColumns(units, days) {
+    return [
+        { header: `${days}-day average high (${units.temperature})`, value: row => row.summary?.temperature },
+        { header: `${days}-day average low (${units.temperature})`, value: row => row.summary?.temperatureMin },
+        { header: `${days}-day precipitation (${units.precipitation})`, value: row => row.summary?.precipitation },
+        { header: `${days}-day precipitation probability (%)`, value: row => row.summary?.precipitationProbability },
+        { header: `${days}-day average wind speed (${units.windSpeed})`, value: row => row.summary?.windSpeed }
+    ];
+}
+
+function comparisonColumns(units, days) {
+    return [
+        { header: 'City', value: row => row.city },
+        { header: 'Country', value: row => row.country },
+        { header: 'Location ID', value: row => row.id },
+        { header: `Temperature (${units.temperature})`, value: row => row.temperature },
+        { header: 'Description', value: row => row.description },
+        { header: 'Humidity (%)', value: row => row.humidity },
+        { header: `Wind speed (${units.windSpeed})`, value: row => row.windSpeed },
+        ...(days > 0 ? forecastSummaryColumns(units, days) : []),
+        { header: 'Rank', value: row => row.rank },
+        { header: 'Score', value: row => row.score },
+        { header: 'Source', value: row => row.source },
+        { header: 'Error', value: row => row.error },
+        { header: 'Error detail', value: row => row.error && row.message }
+    ];
+}
+
+function forecastCsv(data) {
+    return toCsv(forecastColumns(data.units), data.forecast);
+}
+
+function comparisonCsv(data) {
+    return toCsv(comparisonColumns(data.units, data.days), data.comparison);
+}
+
+function escapeText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Long lines are folded with CRLF + space, without splitting a UTF-8 character
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let length = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? ICAL_LINE_LENGTH : ICAL_LINE_LENGTH - 1;
+        if (length + size > limit) {
+            parts.push(current);
+            current = '';
+            length = 0;
+        }
+        current += char;
+        length += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function icalDate(date) {
+    return date.replace(/-/g, '');
+}
+
+function icalTimestamp(iso) {
+    return iso.replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+function nextDay(date) {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString().slice(0, 10);
+}
+
+// An all-day event per forecast day. UIDs are stable per location and date so
+// subscribed calendars update the events in place on every refresh.
+function forecastCalendar(data) {
+    const { location, forecast, units } = data;
+    const place = [location.name, location.country].filter(Boolean).join(', ');
+    const stamp = icalTimestamp(data.timestamp);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Weather Dashboard//Forecast//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(`Weather: ${place}`)}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:${CALENDAR_REFRESH}`,
+        `X-PUBLISHED-TTL:${CALENDAR_REFRESH}`
+    ];
+
+    for (const day of forecast) {
+        const summary = `${day.description}, ${day.temperature.min}/${day.temperature.max}${units.temperature}`;
+        const description = [
+            `Humidity: ${day.humidity}%`,
+            `Wind: ${day.windSpeed} ${units.windSpeed}`,
+            `Precipitation: ${day.precipitation} ${units.precipitation} (${day.precipitationProbability}%)`
+        ].join('\n');
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${location.id}-${icalDate(day.date)}@weather-dashboard`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${icalDate(day.date)}`,
+            `DTEND;VALUE=DATE:${icalDate(nextDay(day.date))}`,
+            `SUMMARY:${escapeText(summary)}`,
+            `DESCRIPTION:${escapeText(description)}`,
+            `LOCATION:${escapeText(place)}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    }
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    comparisonCsv,
+    forecastCalendar,
+    forecastCsv,
+    toCsv
+};
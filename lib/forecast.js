@@ -0,0 +1,76 @@
+// Daily aggregation of normalized forecast slots. Slots are grouped by the
+// location's local calendar day (using the provider's UTC offset in seconds),
+// not the server's, and every slot of a day contributes to its summary.
+// Values stay metric; unit conversion happens when the response is built.
+
+const MAX_DAYS = 5;
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// YYYY-MM-DD of the slot in the location's local time
+function localDate(time, timezone) {
+    return new Date((time + timezone) * 1000).toISOString().split('T')[0];
+}
+
+// Condition seen in the most slots, keyed by icon code without the day/night
+// suffix; ties go to the condition that appeared first. The representative
+// slot is a daytime one when the day has any, so the card shows a day icon.
+function dominantCondition(slots) {
+    const counts = new Map();
+    slots.forEach(slot => {
+        const code = slot.icon.slice(0, 2);
+        counts.set(code, (counts.get(code) || 0) + 1);
+    });
+
+    let dominant = null;
+    counts.forEach((count, code) => {
+        if (dominant === null || count > counts.get(dominant)) {
+            dominant = code;
+        }
+    });
+
+    const matching = slots.filter(slot => slot.icon.startsWith(dominant));
+    const representative = matching.find(slot => slot.icon.endsWith('d')) || matching[0];
+
+    return {
+        description: representative.description,
+        icon: `${dominant}d`
+    };
+}
+
+function summarizeDay(date, slots) {
+    const rain = slots.reduce((total, slot) => total + (slot.rain || 0), 0);
+    const snow = slots.reduce((total, slot) => total + (slot.snow || 0), 0);
+    const humidity = slots.reduce((total, slot) => total + slot.humidity, 0) / slots.length;
+
+    return {
+        date,
+        temperatureMin: Math.min(...slots.map(slot => slot.temperatureMin ?? slot.temperature)),
+        temperatureMax: Math.max(...slots.map(slot => slot.temperatureMax ?? slot.temperature)),
+        ...dominantCondition(slots),
+        humidity: Math.round(humidity),
+        windSpeed: Math.max(...slots.map(slot => slot.windSpeed)),
+        rain: round(rain),
+        snow: round(snow),
+        pop: Math.max(...slots.map(slot => slot.pop || 0))
+    };
+}
+
+function aggregateDaily(slots, timezone = 0, maxDays = MAX_DAYS) {
+    const days = new Map();
+
+    slots.forEach(slot => {
+        const date = localDate(slot.time, timezone);
+        if (!days.has(date)) {
+            days.set(date, []);
+        }
+        days.get(date).push(slot);
+    });
+
+    return Array.from(days, ([date, daySlots]) => summarizeDay(date, daySlots)).slice(0, maxDays);
+}
+
+module.exports = { aggregateDaily };
@@ -0,0 +1,162 @@
+const { logger } = require('./logger');
+
+// Historical weather: snapshots of current conditions recorded periodically
+// for a set of locations, and hourly or daily aggregates over them. Values
+// are stored in metric units like provider data; days follow the location's
+// own timezone.
+const INTERVALS = {
+    hour: 60 * 60,
+    day: 24 * 60 * 60
+};
+
+const DEFAULT_RECORD_INTERVAL = 30 * 60; // Seconds
+const DEFAULT_RETENTION_DAYS = 90;
+
+const FIELDS = {
+    temperature: 'temperature',
+    feelsLike: 'feels_like',
+    humidity: 'humidity',
+    pressure: 'pressure',
+    windSpeed: 'wind_speed'
+};
+
+function readInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function createHistoryStore(db) {
+    const aggregates = Object.values(FIELDS)
+        .map(column => `MIN(${column}) AS ${column}_min, MAX(${column}) AS ${column}_max, AVG(${column}) AS ${column}_avg`)
+        .join(',\n            ');
+
+    const statements = {
+        insert: db.prepare(`
+            INSERT OR IGNORE INTO observations
+                (location_id, observed_at, utc_offset, temperature, feels_like, humidity, pressure, wind_speed, description, icon, source)
+            VALUES
+                (@locationId, @observedAt, @utcOffset, @temperature, @feelsLike, @humidity, @pressure, @windSpeed, @description, @icon, @source)
+        `),
+        prune: db.prepare('DELETE FROM observations WHERE observed_at < ?'),
+        // Daily buckets shift each observation to its local time first. Numbers
+        // are bound as REAL, hence the cast for integer division.
+        aggregate: db.prepare(`
+            SELECT CAST((observed_at + utc_offset * @local) / @size AS INTEGER) AS bucket,
+            COUNT(*) AS samples,
+            ${aggregates}
+            FROM observations
+            WHERE location_id = @locationId AND observed_at >= @from AND observed_at < @to
+            GROUP BY bucket
+            ORDER BY bucket
+        `)
+    };
+
+    // Returns true when the observation was new
+    function record(locationId, observation) {
+        const result = statements.insert.run({
+            locationId,
+            observedAt: observation.observedAt,
+            utcOffset: observation.utcOffset || 0,
+            temperature: observation.temperature ?? null,
+            feelsLike: observation.feelsLike ?? null,
+            humidity: observation.humidity ?? null,
+            pressure: observation.pressure ?? null,
+            windSpeed: observation.windSpeed ?? null,
+            description: observation.description ?? null,
+            icon: observation.icon ?? null,
+            source: observation.source ?? null
+        });
+        return result.changes > 0;
+    }
+
+    function prune(before) {
+        return statements.prune.run(before).changes;
+    }
+
+    // from/to are epoch seconds. Each bucket has `start` in epoch seconds (for
+    // days, the local date's midnight read as UTC), `samples` and
+    // { min, max, avg } per field.
+    function aggregate(locationId, { from, to, interval }) {
+        const size = INTERVALS[interval];
+        const rows = statements.aggregate.all({ locationId, from, to, size, local: interval === 'day' ? 1 : 0 });
+
+        return rows.map(row => {
+            const bucket = { start: row.bucket * size, samples: row.samples };
+            for (const [field, column] of Object.entries(FIELDS)) {
+                bucket[field] = {
+                    min: row[`${column}_min`],
+                    max: row[`${column}_max`],
+                    avg: row[`${column}_avg`]
+                };
+            }
+            return bucket;
+        });
+    }
+
+    return { record, prune, aggregate };
+}
+
+// Periodically records an observation for every location listLocations()
+// returns. Locations are fetched one at a time to spread upstream calls.
+function createHistoryRecorder({ store, listLocations, fetchObservation, interval, retentionDays }) {
+    const recordInterval = interval ?? readInt(process.env.HISTORY_INTERVAL, DEFAULT_RECORD_INTERVAL);
+    const retention = (retentionDays ?? readInt(process.env.HISTORY_RETENTION_DAYS, DEFAULT_RETENTION_DAYS)) * INTERVALS.day;
+    let tracked = new Set();
+    let timer = null;
+    let running = false;
+
+    async function run() {
+        // A slow round (many locations, slow upstream) must not overlap the next
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await recordAll();
+        } finally {
+            running = false;
+        }
+    }
+
+    async function recordAll() {
+        try {
+            tracked = new Set(await listLocations());
+        } catch (error) {
+            logger.error('History recorder could not list locations', { error: error.message });
+            return;
+        }
+
+        for (const locationId of tracked) {
+            try {
+                store.record(locationId, await fetchObservation(locationId));
+            } catch (error) {
+                logger.error('History recorder failed', { locationId, error: error.message });
+            }
+        }
+
+        store.prune(Math.floor(Date.now() / 1000) - retention);
+    }
+
+    // HISTORY_INTERVAL=0 turns recording off
+    function start() {
+        if (recordInterval === 0 || timer) {
+            return;
+        }
+        run();
+        timer = setInterval(run, recordInterval * 1000);
+        timer.unref();
+    }
+
+    return {
+        interval: recordInterval,
+        start,
+        run,
+        isTracked: (locationId) => tracked.has(locationId)
+    };
+}
+
+module.exports = {
+    INTERVALS,
+    createHistoryRecorder,
+    createHistoryStore
+};
@@ -0,0 +1,25 @@
+// Languages offered by the API and the dashboard. The UI bundle for each one
+// lives in public/locales/<code>.json.
+const SUPPORTED_LANGUAGES = {
+    en: 'English',
+    fr: 'Français',
+    es: 'Español'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+function isSupportedLanguage(value) {
+    return Object.prototype.hasOwnProperty.call(SUPPORTED_LANGUAGES, value);
+}
+
+// Best match from the request's Accept-Language header
+function negotiateLanguage(req) {
+    return req.acceptsLanguages(...Object.keys(SUPPORTED_LANGUAGES)) || DEFAULT_LANGUAGE;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    SUPPORTED_LANGUAGES,
+    isSupportedLanguage,
+    negotiateLanguage
+};
@@ -0,0 +1,147 @@
+// Location registry: resolves free-text city queries to places with stable IDs.
+// IDs look like "gb_51.5073_-0.1276" (country, lat, lon to 4 decimals), so they
+// survive cache evictions and can be resolved on any web node.
+const ID_PATTERN = /^([a-z]{2})_(-?\d{1,2}\.\d{4})_(-?\d{1,3}\.\d{4})$/;
+
+function normalizeQuery(query) {
+    return query
+        .trim()
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(/\s*,\s*/g, ',');
+}
+
+function makeLocationId({ lat, lon, country }) {
+    const code = /^[a-z]{2}$/i.test(country || '') ? country.toLowerCase() : 'xx';
+    return `${code}_${lat.toFixed(4)}_${lon.toFixed(4)}`;
+}
+
+function parseLocationId(id) {
+    const match = ID_PATTERN.exec(id);
+    if (!match) {
+        return null;
+    }
+
+    const lat = parseFloat(match[2]);
+    const lon = parseFloat(match[3]);
+    if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+        return null;
+    }
+
+    return { country: match[1].toUpperCase(), lat, lon };
+}
+
+function isLocationId(value) {
+    return parseLocationId(value) !== null;
+}
+
+function toPlace(result) {
+    const place = {
+        name: result.name,
+        country: result.country,
+        state: result.state,
+        lat: result.lat,
+        lon: result.lon
+    };
+    place.id = makeLocationId(place);
+    return place;
+}
+
+// Four decimals (~11 m) keeps GPS jitter from fragmenting the response cache
+function roundCoordinate(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function notFoundError(message) {
+    const error = new Error(message);
+    error.status = 404;
+    return error;
+}
+
+// geocode(query) and reverseGeocode(lat, lon) return raw upstream result arrays
+function createLocationRegistry({ cache, geocode, reverseGeocode }) {
+    const ttl = cache.ttls.geocode;
+    const idKey = (id) => `location:id:${id}`;
+    const aliasKey = (query) => `location:alias:${query}`;
+
+    async function register(place) {
+        await cache.set(idKey(place.id), place, ttl);
+        return place;
+    }
+
+    async function resolveName(query) {
+        const normalized = normalizeQuery(query);
+        const known = await cache.get(aliasKey(normalized));
+        if (known) {
+            return known;
+        }
+
+        const results = await geocode(normalized);
+        if (results.length === 0) {
+            throw notFoundError('The specified city could not be found');
+        }
+
+        const place = await register(toPlace(results[0]));
+        await cache.set(aliasKey(normalized), place, ttl);
+        await cache.set(aliasKey(normalizeQuery(`${place.name}, ${place.country}`)), place, ttl);
+        return place;
+    }
+
+    async function resolveId(id) {
+        const known = await cache.get(idKey(id));
+        if (known) {
+            return known;
+        }
+
+        const parsed = parseLocationId(id);
+        if (!parsed) {
+            throw notFoundError('The specified location could not be found');
+        }
+
+        // Unknown on this node (or evicted): rebuild the record from the coordinates
+        const results = await reverseGeocode(parsed.lat, parsed.lon);
+        if (results.length === 0) {
+            throw notFoundError('The specified location could not be found');
+        }
+
+        return register({
+            name: results[0].name,
+            country: results[0].country || parsed.country,
+            state: results[0].state,
+            lat: parsed.lat,
+            lon: parsed.lon,
+            id
+        });
+    }
+
+    // Accepts either a location ID or a free-text city name
+    async function resolve(input) {
+        return isLocationId(input) ? resolveId(input) : resolveName(input);
+    }
+
+    async function registerResults(results) {
+        return Promise.all(results.map(result => register(toPlace(result))));
+    }
+
+    // Coordinate lookups skip geocoding; the caller names the place from the
+    // weather payload it already fetched
+    async function registerCoordinates(lat, lon, name, country) {
+        return register(toPlace({
+            name: name || `${lat.toFixed(4)}, ${lon.toFixed(4)}`,
+            country,
+            lat,
+            lon
+        }));
+    }
+
+    return { resolve, resolveId, resolveName, register, registerResults, registerCoordinates };
+}
+
+module.exports = {
+    createLocationRegistry,
+    isLocationId,
+    makeLocationId,
+    normalizeQuery,
+    parseLocationId,
+    roundCoordinate
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging: one JSON object per line on stdout, e.g.
+//   {"time":"...","level":"error","msg":"Error in current weather","server":"web01","requestId":"...","error":"..."}
+// Lines logged while handling a request carry its requestId, however deep in
+// the call stack they are written.
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const DEFAULT_LEVEL = 'info';
+
+// Query parameters whose values never reach the logs
+const SECRET_PARAMS = ['appid', 'api_key', 'apikey', 'key', 'token'];
+
+// Incoming request IDs are kept only if they look like one
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function readLevel(value) {
+    return Object.prototype.hasOwnProperty.call(LEVELS, value) ? value : DEFAULT_LEVEL;
+}
+
+function createLogger(options = {}) {
+    const threshold = LEVELS[readLevel(options.level ?? process.env.LOG_LEVEL)];
+    const server = options.serverId ?? (process.env.SERVER_ID || 'unknown');
+    const write = options.write ?? (line => process.stdout.write(`${line}\n`));
+
+    function log(level, msg, fields = {}) {
+        if (LEVELS[level] > threshold) {
+            return;
+        }
+        const requestId = requestContext.getStore()?.requestId;
+        write(JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            msg,
+            server,
+            ...(requestId ? { requestId } : {}),
+            ...fields
+        }));
+    }
+
+    return {
+        error: (msg, fields) => log('error', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        debug: (msg, fields) => log('debug', msg, fields)
+    };
+}
+
+// Shared by the server and the lib modules
+const logger = createLogger();
+
+// Relative or absolute URL with secret query values replaced. URLs that can't
+// be parsed (e.g. a malformed absolute-form request target) are logged
+// without their query string.
+function redactUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url, 'http://localhost');
+    } catch (error) {
+        return String(url).split('?')[0];
+    }
+    for (const name of SECRET_PARAMS) {
+        if (parsed.searchParams.has(name)) {
+            parsed.searchParams.set(name, 'REDACTED');
+        }
+    }
+    return /^https?:\/\//.test(url) ? parsed.href : `${parsed.pathname}${parsed.search}`;
+}
+
+// Express middleware giving each request an ID (the incoming X-Request-ID,
+// e.g. set by HAProxy, or a new one), echoed as X-Request-ID, and logging
+// each request once its response is sent
+function requestLogger() {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-ID');
+        const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        const start = process.hrtime.bigint();
+
+        req.id = requestId;
+        res.setHeader('X-Request-ID', requestId);
+        res.on('finish', () => {
+            // Nothing thrown here would be caught: it would end the process
+            try {
+                requestContext.run({ requestId }, () => {
+                    const status = res.statusCode;
+                    logger[status >= 500 ? 'error' : 'info']('Request', {
+                        method: req.method,
+                        url: redactUrl(req.originalUrl),
+                        status,
+                        durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+                        ip: req.ip
+                    });
+                });
+            } catch (error) {
+                process.stderr.write(`Request log failed: ${error.message}\n`);
+            }
+        });
+        requestContext.run({ requestId }, next);
+    };
+}
+
+// Logs every call made through an axios instance, with its timing
+function instrumentAxios(instance) {
+    const fields = (config, start) => ({
+        method: (config.method || 'get').toUpperCase(),
+        url: redactUrl(instance.getUri(config)),
+        durationMs: start ? Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100 : null
+    });
+
+    instance.interceptors.request.use((config) => {
+        config.startedAt = process.hrtime.bigint();
+        return config;
+    });
+    instance.interceptors.response.use((response) => {
+        logger.info('Upstream request', { ...fields(response.config, response.config.startedAt), status: response.status });
+        return response;
+    }, (error) => {
+        if (error.config) {
+            logger.warn('Upstream request failed', {
+                ...fields(error.config, error.config.startedAt),
+                status: error.response?.status ?? null,
+                error: error.message
+            });
+        }
+        return Promise.reject(error);
+    });
+}
+
+module.exports = {
+    createLogger,
+    instrumentAxios,
+    logger,
+    redactUrl,
+    requestLogger
+};
@@ -0,0 +1,115 @@
+const client = require('prom-client');
+
+// Request latencies in seconds, from cache hits to slow upstream calls
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Prometheus metrics for /metrics. Every series carries a `server` label
+// (SERVER_ID), so web01 and web02 can be told apart behind the load balancer.
+function createMetrics(options = {}) {
+    const registry = new client.Registry();
+    registry.setDefaultLabels({ server: options.serverId ?? (process.env.SERVER_ID || 'unknown') });
+    // Process CPU, memory, event loop lag, open handles, GC
+    client.collectDefaultMetrics({ register: registry });
+
+    const httpRequests = new client.Counter({
+        name: 'http_requests_total',
+        help: 'HTTP requests by route and status',
+        labelNames: ['method', 'route', 'status'],
+        registers: [registry]
+    });
+    const httpDuration = new client.Histogram({
+        name: 'http_request_duration_seconds',
+        help: 'HTTP request latency by route and status',
+        labelNames: ['method', 'route', 'status'],
+        buckets: LATENCY_BUCKETS,
+        registers: [registry]
+    });
+    const upstreamRequests = new client.Counter({
+        name: 'upstream_requests_total',
+        help: 'Weather provider calls by endpoint and outcome',
+        labelNames: ['endpoint', 'outcome'],
+        registers: [registry]
+    });
+    const upstreamDuration = new client.Histogram({
+        name: 'upstream_request_duration_seconds',
+        help: 'Weather provider call latency by endpoint',
+        labelNames: ['endpoint', 'outcome'],
+        buckets: LATENCY_BUCKETS,
+        registers: [registry]
+    });
+    const cacheLookups = new client.Counter({
+        name: 'cache_lookups_total',
+        help: 'Response cache lookups by kind and result (hit, miss, stale or coalesced)',
+        labelNames: ['kind', 'result'],
+        registers: [registry]
+    });
+    const rateLimitRejections = new client.Counter({
+        name: 'rate_limit_rejections_total',
+        help: 'Requests refused by the rate limiter, by policy',
+        labelNames: ['policy'],
+        registers: [registry]
+    });
+
+    // Route template for a finished request, e.g. "/api/weather/current/:city".
+    // Requests no route handled are grouped, so paths never become labels.
+    function routeOf(req) {
+        if (req.route) {
+            return req.baseUrl + req.route.path;
+        }
+        return req.originalUrl.startsWith('/api/') ? 'unrouted' : 'static';
+    }
+
+    // Express middleware timing every request until its response is sent
+    function httpMiddleware() {
+        return (req, res, next) => {
+            const start = process.hrtime.bigint();
+            res.on('finish', () => {
+                const labels = { method: req.method, route: routeOf(req), status: String(res.statusCode) };
+                httpRequests.inc(labels);
+                httpDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+            });
+            next();
+        };
+    }
+
+    // Times an upstream call: resolves or rejects like `call()`
+    async function timeUpstream(endpoint, call) {
+        const end = upstreamDuration.startTimer({ endpoint });
+        try {
+            const result = await call();
+            end({ outcome: 'success' });
+            upstreamRequests.inc({ endpoint, outcome: 'success' });
+            return result;
+        } catch (error) {
+            end({ outcome: 'error' });
+            upstreamRequests.inc({ endpoint, outcome: 'error' });
+            throw error;
+        }
+    }
+
+    // A gauge read when Prometheus scrapes, from `collect()` returning { labelValue: number }
+    function addGauge(name, help, labelName, collect) {
+        new client.Gauge({
+            name,
+            help,
+            labelNames: [labelName],
+            registers: [registry],
+            async collect() {
+                for (const [value, number] of Object.entries(await collect())) {
+                    this.set({ [labelName]: value }, number);
+                }
+            }
+        });
+    }
+
+    return {
+        registry,
+        cacheLookups,
+        rateLimitRejections,
+        httpMiddleware,
+        timeUpstream,
+        addGauge
+    };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,76 @@
+const { BudgetExhaustedError } = require('../budget');
+const { CircuitBreaker, CircuitOpenError } = require('../circuit-breaker');
+const { logger } = require('../logger');
+
+// Only outages, throttling and credential problems should move traffic to the
+// next provider; other client errors are answered by the first provider as-is.
+// A spent upstream budget isn't the provider's fault and covers every provider.
+function isProviderFailure(error) {
+    if (error instanceof BudgetExhaustedError) {
+        return false;
+    }
+    if (error instanceof CircuitOpenError) {
+        return true;
+    }
+
+    const status = error.response?.status;
+    if (!status) {
+        return true; // Network error or timeout
+    }
+
+    return status >= 500 || status === 401 || status === 403 || status === 429;
+}
+
+// Wraps an ordered list of providers behind the provider interface. Each call
+// goes to the first configured provider whose circuit is closed, falling
+// through to the next one on failure. Weather, air quality and alerts results
+// are tagged with the `source` that produced them.
+function createFailoverProvider(providers, breakerOptions = {}) {
+    const members = providers.map(provider => ({
+        provider,
+        breaker: new CircuitBreaker(provider.name, breakerOptions)
+    }));
+
+    async function call(method, args, tagSource) {
+        let lastError = null;
+
+        for (const { provider, breaker } of members) {
+            if (!provider.isConfigured() || typeof provider[method] !== 'function') {
+                continue;
+            }
+
+            try {
+                const result = await breaker.exec(() => provider[method](...args), isProviderFailure);
+                return tagSource ? { ...result, source: provider.name } : result;
+            } catch (error) {
+                if (!isProviderFailure(error)) {
+                    throw error;
+                }
+                if (!(error instanceof CircuitOpenError)) {
+                    logger.warn('Provider failed', { provider: provider.name, method, error: error.message });
+                }
+                lastError = error;
+            }
+        }
+
+        throw lastError || new Error(`No weather provider available for ${method}`);
+    }
+
+    return {
+        name: providers.map(provider => provider.name).join(','),
+        isConfigured: () => providers.some(provider => provider.isConfigured()),
+        geocode: (...args) => call('geocode', args, false),
+        reverseGeocode: (...args) => call('reverseGeocode', args, false),
+        current: (...args) => call('current', args, true),
+        forecast: (...args) => call('forecast', args, true),
+        airQuality: (...args) => call('airQuality', args, true),
+        alerts: (...args) => call('alerts', args, true),
+        health: () => members.map(({ provider, breaker }) => ({
+            name: provider.name,
+            configured: provider.isConfigured(),
+            ...breaker.status()
+        }))
+    };
+}
+
+module.exports = { createFailoverProvider, isProviderFailure };
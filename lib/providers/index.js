@@ -0,0 +1,57 @@
+const { createOpenWeatherMapProvider } = require('./openweathermap');
+const { createOpenMeteoProvider } = require('./openmeteo');
+const { createMockProvider } = require('./mock');
+const { createFailoverProvider } = require('./failover');
+
+// Every provider exposes the same normalized interface, in metric units:
+//   geocode(query, limit)            -> [{ name, country, state, lat, lon }]
+//   reverseGeocode(lat, lon, limit)  -> [{ name, country, state, lat, lon }]
+//   current(lat, lon, lang)          -> { place, temperature, windSpeed (m/s), visibility (m), ... }
+//   forecast(lat, lon, lang)         -> { place, timezone, slots: [{ time, temperature, ... }] }
+//   airQuality(lat, lon)             -> { current, forecast: [...] }, readings of { time, pm2_5, pm10, o3, no2 } in µg/m³
+//   alerts(lat, lon, lang)           -> { uvIndex, observedAt, alerts: [{ event, sender, start, end, description, tags }] }
+// `lang` is a language code for condition descriptions; providers that cannot
+// localize return English.
+// plus `name` and `isConfigured()` for startup and request validation.
+// A provider may leave out a method it cannot serve; failover skips it.
+// Each factory takes `beforeRequest`, awaited before every upstream HTTP request.
+const PROVIDERS = {
+    openweathermap: ({ beforeRequest }) => createOpenWeatherMapProvider({
+        apiKey: process.env.OPENWEATHER_API_KEY,
+        oneCall: process.env.OPENWEATHER_ONE_CALL === 'true',
+        beforeRequest
+    }),
+    openmeteo: ({ beforeRequest }) => createOpenMeteoProvider({ beforeRequest }),
+    mock: ({ beforeRequest }) => createMockProvider({ beforeRequest })
+};
+
+function readInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function createProvider(name, options = {}) {
+    const factory = PROVIDERS[name.toLowerCase()];
+    if (!factory) {
+        throw new Error(`Unknown weather provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory(options);
+}
+
+// Ordered provider list from WEATHER_PROVIDERS (e.g. "openweathermap,openmeteo"),
+// each behind its own circuit breaker
+function createProviderChain(options = {}) {
+    const names = options.names || process.env.WEATHER_PROVIDERS || process.env.WEATHER_PROVIDER || 'openweathermap';
+    const providers = names
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean)
+        .map(name => createProvider(name, { beforeRequest: options.beforeRequest }));
+
+    return createFailoverProvider(providers, {
+        failureThreshold: readInt(process.env.PROVIDER_FAILURE_THRESHOLD, 3),
+        resetTimeout: readInt(process.env.PROVIDER_RESET_TIMEOUT, 30) * 1000
+    });
+}
+
+module.exports = { createProvider, createProviderChain };
@@ -0,0 +1,288 @@
+const cities = require('./fixtures/cities.json');
+
+// Offline provider backed by fixtures/cities.json. Readings are derived from
+// each city's climate profile and the slot time only, so repeated calls give
+// identical results and the test suite can run without an API key.
+
+const CONDITIONS = {
+    clear: { icon: '01', description: { en: 'clear sky', fr: 'ciel dégagé', es: 'cielo claro' } },
+    clouds: { icon: '04', description: { en: 'broken clouds', fr: 'nuageux', es: 'nubes rotas' } },
+    rain: { icon: '10', description: { en: 'light rain', fr: 'légère pluie', es: 'lluvia ligera' } },
+    snow: { icon: '13', description: { en: 'light snow', fr: 'légères chutes de neige', es: 'nieve ligera' } }
+};
+
+function describe(condition, lang) {
+    const { description } = CONDITIONS[condition];
+    return description[lang] || description.en;
+}
+
+const NEARBY_DEGREES = 0.5;
+const SLOT_SECONDS = 3 * 60 * 60;
+const FORECAST_SLOTS = 40;
+
+// Stable pseudo-random value in [0, 1) for a numeric seed
+function noise(seed) {
+    const x = Math.sin(seed) * 10000;
+    return x - Math.floor(x);
+}
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function toPlace(city) {
+    return {
+        name: city.name,
+        country: city.country,
+        state: city.state,
+        lat: city.lat,
+        lon: city.lon
+    };
+}
+
+function nearestCity(lat, lon) {
+    let nearest = null;
+    let bestDistance = Infinity;
+
+    for (const city of cities) {
+        const distance = Math.hypot(city.lat - lat, city.lon - lon);
+        if (distance < bestDistance) {
+            nearest = city;
+            bestDistance = distance;
+        }
+    }
+
+    return bestDistance <= NEARBY_DEGREES ? nearest : null;
+}
+
+// Fixture city near the coordinates, or a synthetic profile based on latitude
+function siteFor(lat, lon) {
+    const city = nearestCity(lat, lon);
+    if (city) {
+        return city;
+    }
+
+    return {
+        name: '',
+        country: undefined,
+        lat,
+        lon,
+        timezone: Math.round(lon / 15) * 3600,
+        climate: {
+            temperature: Math.round(30 - Math.abs(lat) * 0.45),
+            range: 6,
+            humidity: 65,
+            pressure: 1013,
+            windSpeed: 4,
+            condition: 'clouds'
+        }
+    };
+}
+
+function iconFor(condition, time, timezone) {
+    const localHour = new Date((time + timezone) * 1000).getUTCHours();
+    const isDay = localHour >= 6 && localHour < 18;
+    return `${CONDITIONS[condition].icon}${isDay ? 'd' : 'n'}`;
+}
+
+// Reading for one forecast slot: temperature follows the local time of day
+// and the condition occasionally departs from the city's usual one
+function slotReading(site, time) {
+    const { climate } = site;
+    const localHour = new Date((time + site.timezone) * 1000).getUTCHours();
+    const seed = time / SLOT_SECONDS + site.lat * 7 + site.lon * 13;
+
+    const daily = Math.sin(((localHour - 9) / 24) * 2 * Math.PI);
+    const temperature = climate.temperature + climate.range * daily + (noise(seed) - 0.5) * 2;
+
+    const roll = noise(seed + 1);
+    let condition = climate.condition;
+    if (roll > 0.8) {
+        condition = condition === 'clear' ? 'clouds' : 'clear';
+    } else if (roll > 0.7 && condition !== 'snow') {
+        condition = 'rain';
+    }
+
+    const wet = condition === 'rain' || condition === 'snow';
+    const precipitation = wet ? round(0.3 + noise(seed + 2) * 2.5) : 0;
+
+    return {
+        condition,
+        temperature: round(temperature),
+        feelsLike: round(temperature - climate.windSpeed * 0.3),
+        humidity: Math.min(100, Math.round(climate.humidity + (wet ? 12 : 0) - daily * 8)),
+        pressure: climate.pressure,
+        windSpeed: round(climate.windSpeed * (0.6 + noise(seed + 3) * 0.8)),
+        windDirection: Math.round(noise(seed + 4) * 360),
+        cloudiness: condition === 'clear' ? 5 : condition === 'clouds' ? 75 : 90,
+        rain: condition === 'rain' ? precipitation : 0,
+        snow: condition === 'snow' ? precipitation : 0,
+        pop: wet ? round(0.55 + noise(seed + 5) * 0.4) : round(noise(seed + 5) * 0.2)
+    };
+}
+
+// Nothing goes over the network, but `beforeRequest` is awaited for each
+// request the OpenWeatherMap call would make, so the upstream budget counts
+// mock calls the same way
+function createMockProvider({ beforeRequest = async () => {} } = {}) {
+    async function geocode(query, limit = 1) {
+        await beforeRequest();
+        const [name, ...qualifiers] = query.split(',').map(part => part.trim().toLowerCase());
+
+        const matches = cities.filter(city => {
+            if (!city.name.toLowerCase().startsWith(name)) {
+                return false;
+            }
+            return qualifiers.every(qualifier =>
+                city.country.toLowerCase() === qualifier ||
+                (city.state || '').toLowerCase() === qualifier);
+        });
+
+        // Exact name matches rank ahead of prefix matches
+        matches.sort((a, b) =>
+            (b.name.toLowerCase() === name) - (a.name.toLowerCase() === name));
+
+        return matches.slice(0, limit).map(toPlace);
+    }
+
+    async function reverseGeocode(lat, lon, limit = 1) {
+        await beforeRequest();
+        const city = nearestCity(lat, lon);
+        return city ? [toPlace(city)].slice(0, limit) : [];
+    }
+
+    async function current(lat, lon, lang = 'en') {
+        await beforeRequest();
+        const site = siteFor(lat, lon);
+        const { climate } = site;
+        const now = Math.floor(Date.now() / 1000);
+
+        return {
+            place: { name: site.name, country: site.country },
+            observedAt: now,
+            temperature: climate.temperature,
+            feelsLike: round(climate.temperature - climate.windSpeed * 0.3),
+            humidity: climate.humidity,
+            pressure: climate.pressure,
+            visibility: climate.condition === 'clear' ? 10000 : 8000,
+            description: describe(climate.condition, lang),
+            icon: iconFor(climate.condition, now, site.timezone),
+            windSpeed: climate.windSpeed,
+            windDirection: 225,
+            cloudiness: climate.condition === 'clear' ? 5 : 75,
+            rain: climate.condition === 'rain' ? 0.5 : 0,
+            snow: climate.condition === 'snow' ? 0.5 : 0
+        };
+    }
+
+    async function forecast(lat, lon, lang = 'en') {
+        await beforeRequest();
+        const site = siteFor(lat, lon);
+        const firstSlot = Math.ceil(Date.now() / 1000 / SLOT_SECONDS) * SLOT_SECONDS;
+
+        const slots = [];
+        for (let i = 0; i < FORECAST_SLOTS; i++) {
+            const time = firstSlot + i * SLOT_SECONDS;
+            const reading = slotReading(site, time);
+
+            slots.push({
+                time,
+                temperature: reading.temperature,
+                temperatureMin: round(reading.temperature - 0.5),
+                temperatureMax: round(reading.temperature + 0.5),
+                feelsLike: reading.feelsLike,
+                humidity: reading.humidity,
+                pressure: reading.pressure,
+                description: describe(reading.condition, lang),
+                icon: iconFor(reading.condition, time, site.timezone),
+                windSpeed: reading.windSpeed,
+                windDirection: reading.windDirection,
+                cloudiness: reading.cloudiness,
+                rain: reading.rain,
+                snow: reading.snow,
+                pop: reading.pop
+            });
+        }
+
+        return {
+            place: { name: site.name, country: site.country },
+            timezone: site.timezone,
+            slots
+        };
+    }
+
+    // Pollution scales with the site's base PM2.5 level (the fixture's
+    // `pollution`, or a stable pseudo-random one) and peaks at rush hours
+    function pollutionReading(site, time) {
+        const localHour = new Date((time + site.timezone) * 1000).getUTCHours();
+        const rush = 1 + 0.5 * Math.exp(-((localHour - 8) ** 2) / 4) + 0.5 * Math.exp(-((localHour - 18) ** 2) / 4);
+        const base = site.pollution ?? 5 + noise(site.lat * 31 + site.lon * 17) * 10;
+        const seed = time / 3600 + site.lat + site.lon;
+
+        return {
+            time,
+            pm2_5: round(base * rush * (0.8 + noise(seed) * 0.4)),
+            pm10: round(base * 1.8 * rush * (0.8 + noise(seed + 1) * 0.4)),
+            o3: round(40 + base * 0.5 + Math.max(0, Math.sin(((localHour - 6) / 12) * Math.PI)) * 40),
+            no2: round(base * 1.2 * rush * (0.8 + noise(seed + 2) * 0.4))
+        };
+    }
+
+    async function airQuality(lat, lon) {
+        // Current readings and the forecast are separate requests
+        await beforeRequest();
+        await beforeRequest();
+        const site = siteFor(lat, lon);
+        const hour = Math.floor(Date.now() / 1000 / 3600) * 3600;
+
+        const forecast = [];
+        for (let i = 1; i <= 72; i++) {
+            forecast.push(pollutionReading(site, hour + i * 3600));
+        }
+
+        return {
+            current: pollutionReading(site, hour),
+            forecast
+        };
+    }
+
+    // UV follows the sun over the local day and is damped by cloud; fixture
+    // cities may carry standing government alerts
+    async function alerts(lat, lon) {
+        await beforeRequest();
+        const site = siteFor(lat, lon);
+        const now = Math.floor(Date.now() / 1000);
+        const localHour = new Date((now + site.timezone) * 1000).getUTCHours();
+
+        const sun = Math.max(0, Math.sin(((localHour - 6) / 12) * Math.PI));
+        const peak = Math.max(1, 12 - Math.abs(lat) * 0.12);
+        const clearness = site.climate.condition === 'clear' ? 1 : 0.5;
+
+        return {
+            uvIndex: round(peak * sun * clearness, 1),
+            observedAt: now,
+            alerts: (site.alerts || []).map(alert => ({
+                event: alert.event,
+                sender: alert.sender,
+                start: now - 3600,
+                end: now + alert.hours * 3600,
+                description: alert.description,
+                tags: []
+            }))
+        };
+    }
+
+    return {
+        name: 'mock',
+        isConfigured: () => true,
+        geocode,
+        reverseGeocode,
+        current,
+        forecast,
+        airQuality,
+        alerts
+    };
+}
+
+module.exports = { createMockProvider };
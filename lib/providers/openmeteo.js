@@ -0,0 +1,259 @@
+const axios = require('axios');
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+const AIR_QUALITY_URL = 'https://air-quality-api.open-meteo.com/v1/air-quality';
+
+const REQUEST_TIMEOUT = 10000;
+const SLOT_HOURS = 3;
+const FORECAST_SLOTS = 40;
+
+// WMO weather interpretation codes mapped onto OpenWeatherMap icon codes,
+// so the dashboard renders the same icon set whichever provider answered
+const WEATHER_CODES = {
+    0: { description: 'clear sky', icon: '01' },
+    1: { description: 'mainly clear', icon: '02' },
+    2: { description: 'partly cloudy', icon: '03' },
+    3: { description: 'overcast clouds', icon: '04' },
+    45: { description: 'fog', icon: '50' },
+    48: { description: 'depositing rime fog', icon: '50' },
+    51: { description: 'light drizzle', icon: '09' },
+    53: { description: 'drizzle', icon: '09' },
+    55: { description: 'dense drizzle', icon: '09' },
+    56: { description: 'light freezing drizzle', icon: '09' },
+    57: { description: 'freezing drizzle', icon: '09' },
+    61: { description: 'light rain', icon: '10' },
+    63: { description: 'moderate rain', icon: '10' },
+    65: { description: 'heavy rain', icon: '10' },
+    66: { description: 'light freezing rain', icon: '13' },
+    67: { description: 'freezing rain', icon: '13' },
+    71: { description: 'light snow', icon: '13' },
+    73: { description: 'snow', icon: '13' },
+    75: { description: 'heavy snow', icon: '13' },
+    77: { description: 'snow grains', icon: '13' },
+    80: { description: 'light rain showers', icon: '09' },
+    81: { description: 'rain showers', icon: '09' },
+    82: { description: 'violent rain showers', icon: '09' },
+    85: { description: 'light snow showers', icon: '13' },
+    86: { description: 'snow showers', icon: '13' },
+    95: { description: 'thunderstorm', icon: '11' },
+    96: { description: 'thunderstorm with hail', icon: '11' },
+    99: { description: 'thunderstorm with heavy hail', icon: '11' }
+};
+
+// Open-Meteo air quality variables by normalized pollutant name
+const POLLUTANT_VARIABLES = {
+    pm2_5: 'pm2_5',
+    pm10: 'pm10',
+    o3: 'ozone',
+    no2: 'nitrogen_dioxide'
+};
+
+const VARIABLES = [
+    'temperature_2m',
+    'relative_humidity_2m',
+    'apparent_temperature',
+    'is_day',
+    'rain',
+    'snowfall',
+    'weather_code',
+    'cloud_cover',
+    'pressure_msl',
+    'visibility',
+    'wind_speed_10m',
+    'wind_direction_10m'
+];
+
+function describe(code, isDay) {
+    const condition = WEATHER_CODES[code] || WEATHER_CODES[3];
+    return {
+        description: condition.description,
+        icon: `${condition.icon}${isDay ? 'd' : 'n'}`
+    };
+}
+
+function toPlace(result) {
+    return {
+        name: result.name,
+        country: result.country_code,
+        state: result.admin1,
+        lat: result.latitude,
+        lon: result.longitude
+    };
+}
+
+// Open-Meteo adapter: free and keyless, which makes it a natural fallback.
+// It has no reverse geocoding, so that call is left to other providers, and
+// its condition descriptions are English only. `beforeRequest` is awaited
+// before each HTTP request, e.g. to charge it to the upstream budget.
+function createOpenMeteoProvider({ beforeRequest = async () => {} } = {}) {
+    async function get(url, config) {
+        await beforeRequest();
+        return axios.get(url, config);
+    }
+
+    async function geocode(query, limit = 1) {
+        const [name, ...qualifiers] = query.split(',').map(part => part.trim().toLowerCase());
+
+        const response = await get(GEOCODING_URL, {
+            params: { name, count: qualifiers.length > 0 ? 10 : limit },
+            timeout: REQUEST_TIMEOUT
+        });
+
+        // The search API takes a bare name; apply "City, State, CC" qualifiers here
+        const matches = (response.data.results || []).map(toPlace).filter(place =>
+            qualifiers.every(qualifier =>
+                (place.country || '').toLowerCase() === qualifier ||
+                (place.state || '').toLowerCase() === qualifier));
+
+        return matches.slice(0, limit);
+    }
+
+    async function current(lat, lon) {
+        const response = await get(FORECAST_URL, {
+            params: {
+                latitude: lat,
+                longitude: lon,
+                current: VARIABLES.join(','),
+                wind_speed_unit: 'ms',
+                timeformat: 'unixtime',
+                timezone: 'auto'
+            },
+            timeout: REQUEST_TIMEOUT
+        });
+
+        const data = response.data.current;
+
+        return {
+            place: { name: undefined, country: undefined },
+            observedAt: data.time,
+            temperature: data.temperature_2m,
+            feelsLike: data.apparent_temperature,
+            humidity: data.relative_humidity_2m,
+            pressure: Math.round(data.pressure_msl),
+            visibility: data.visibility ?? 10000,
+            ...describe(data.weather_code, data.is_day),
+            windSpeed: data.wind_speed_10m,
+            windDirection: data.wind_direction_10m,
+            cloudiness: data.cloud_cover,
+            rain: data.rain || 0,
+            snow: (data.snowfall || 0) * 10 // cm of snow to mm
+        };
+    }
+
+    async function forecast(lat, lon) {
+        const response = await get(FORECAST_URL, {
+            params: {
+                latitude: lat,
+                longitude: lon,
+                hourly: [...VARIABLES, 'precipitation_probability'].join(','),
+                forecast_days: 6,
+                wind_speed_unit: 'ms',
+                timeformat: 'unixtime',
+                timezone: 'auto'
+            },
+            timeout: REQUEST_TIMEOUT
+        });
+
+        const { hourly, utc_offset_seconds: timezone } = response.data;
+        const now = Date.now() / 1000;
+
+        // Resample hourly data into 3-hour slots like the other providers return;
+        // precipitation is summed over the hours each slot covers
+        const slots = [];
+        for (let i = 0; i < hourly.time.length && slots.length < FORECAST_SLOTS; i++) {
+            if (hourly.time[i] < now || hourly.time[i] % (SLOT_HOURS * 3600) !== 0) {
+                continue;
+            }
+
+            const hours = [i, i + 1, i + 2].filter(index => index < hourly.time.length);
+            const sum = (values) => hours.reduce((total, index) => total + (values[index] || 0), 0);
+            const temperatures = hours.map(index => hourly.temperature_2m[index]);
+
+            slots.push({
+                time: hourly.time[i],
+                temperature: hourly.temperature_2m[i],
+                temperatureMin: Math.min(...temperatures),
+                temperatureMax: Math.max(...temperatures),
+                feelsLike: hourly.apparent_temperature[i],
+                humidity: hourly.relative_humidity_2m[i],
+                pressure: Math.round(hourly.pressure_msl[i]),
+                ...describe(hourly.weather_code[i], hourly.is_day[i]),
+                windSpeed: hourly.wind_speed_10m[i],
+                windDirection: hourly.wind_direction_10m[i],
+                cloudiness: hourly.cloud_cover[i],
+                rain: Math.round(sum(hourly.rain) * 100) / 100,
+                snow: Math.round(sum(hourly.snowfall) * 10 * 100) / 100,
+                pop: (hourly.precipitation_probability[i] || 0) / 100
+            });
+        }
+
+        return {
+            place: { name: undefined, country: undefined },
+            timezone,
+            slots
+        };
+    }
+
+    async function airQuality(lat, lon) {
+        const variables = Object.values(POLLUTANT_VARIABLES).join(',');
+        const response = await get(AIR_QUALITY_URL, {
+            params: {
+                latitude: lat,
+                longitude: lon,
+                current: variables,
+                hourly: variables,
+                forecast_days: 3,
+                timeformat: 'unixtime'
+            },
+            timeout: REQUEST_TIMEOUT
+        });
+
+        const { current, hourly } = response.data;
+        const reading = (values, index) => {
+            const result = {};
+            for (const [pollutant, variable] of Object.entries(POLLUTANT_VARIABLES)) {
+                result[pollutant] = index === undefined ? values[variable] : values[variable][index];
+            }
+            return result;
+        };
+
+        return {
+            current: { time: current.time, ...reading(current) },
+            forecast: hourly.time.map((time, index) => ({ time, ...reading(hourly, index) }))
+        };
+    }
+
+    // UV index only; Open-Meteo does not publish government alerts
+    async function alerts(lat, lon) {
+        const response = await get(FORECAST_URL, {
+            params: {
+                latitude: lat,
+                longitude: lon,
+                current: 'uv_index',
+                timeformat: 'unixtime'
+            },
+            timeout: REQUEST_TIMEOUT
+        });
+
+        const data = response.data.current;
+
+        return {
+            uvIndex: data.uv_index ?? null,
+            observedAt: data.time,
+            alerts: []
+        };
+    }
+
+    return {
+        name: 'openmeteo',
+        isConfigured: () => true,
+        geocode,
+        current,
+        forecast,
+        airQuality,
+        alerts
+    };
+}
+
+module.exports = { createOpenMeteoProvider };
@@ -0,0 +1,140 @@
+const axios = require('axios');
+
+const WEATHER_BASE_URL = 'https://api.openweathermap.org/data/2.5';
+const GEO_BASE_URL = 'https://api.openweathermap.org/geo/1.0';
+const ONE_CALL_URL = 'https://api.openweathermap.org/data/3.0/onecall';
+const REQUEST_TIMEOUT = 10000;
+
+function toPlace(result) {
+    return {
+        name: result.name,
+        country: result.country,
+        state: result.state,
+        lat: result.lat,
+        lon: result.lon
+    };
+}
+
+// OpenWeatherMap adapter. Upstream errors are axios errors, so handleApiError
+// can map their HTTP status codes. UV and government alerts come from One Call
+// 3.0, which needs a separate subscription, so they are only offered when
+// `oneCall` is enabled; otherwise failover asks the next provider.
+// `beforeRequest` is awaited before each HTTP request, e.g. to charge it to
+// the upstream budget.
+function createOpenWeatherMapProvider({ apiKey, oneCall = false, beforeRequest = async () => {} }) {
+    async function request(url, params) {
+        await beforeRequest();
+        const response = await axios.get(url, {
+            params: { ...params, appid: apiKey },
+            timeout: REQUEST_TIMEOUT
+        });
+        return response.data;
+    }
+
+    async function geocode(query, limit = 1) {
+        const results = await request(`${GEO_BASE_URL}/direct`, { q: query, limit });
+        return results.map(toPlace);
+    }
+
+    async function reverseGeocode(lat, lon, limit = 1) {
+        const results = await request(`${GEO_BASE_URL}/reverse`, { lat, lon, limit });
+        return results.map(toPlace);
+    }
+
+    async function current(lat, lon, lang = 'en') {
+        const data = await request(`${WEATHER_BASE_URL}/weather`, { lat, lon, lang, units: 'metric' });
+
+        return {
+            place: { name: data.name, country: data.sys?.country },
+            observedAt: data.dt,
+            temperature: data.main.temp,
+            feelsLike: data.main.feels_like,
+            humidity: data.main.humidity,
+            pressure: data.main.pressure,
+            visibility: data.visibility ?? 10000,
+            description: data.weather[0].description,
+            icon: data.weather[0].icon,
+            windSpeed: data.wind?.speed || 0,
+            windDirection: data.wind?.deg || 0,
+            cloudiness: data.clouds?.all || 0,
+            rain: data.rain?.['1h'] || 0,
+            snow: data.snow?.['1h'] || 0
+        };
+    }
+
+    async function forecast(lat, lon, lang = 'en') {
+        const data = await request(`${WEATHER_BASE_URL}/forecast`, { lat, lon, lang, units: 'metric' });
+
+        return {
+            place: { name: data.city?.name, country: data.city?.country },
+            timezone: data.city?.timezone || 0,
+            slots: data.list.map(item => ({
+                time: item.dt,
+                temperature: item.main.temp,
+                temperatureMin: item.main.temp_min,
+                temperatureMax: item.main.temp_max,
+                feelsLike: item.main.feels_like,
+                humidity: item.main.humidity,
+                pressure: item.main.pressure,
+                description: item.weather[0].description,
+                icon: item.weather[0].icon,
+                windSpeed: item.wind?.speed || 0,
+                windDirection: item.wind?.deg || 0,
+                cloudiness: item.clouds?.all || 0,
+                rain: item.rain?.['3h'] || 0,
+                snow: item.snow?.['3h'] || 0,
+                pop: item.pop || 0
+            }))
+        };
+    }
+
+    async function airQuality(lat, lon) {
+        const [current, forecast] = await Promise.all([
+            request(`${WEATHER_BASE_URL}/air_pollution`, { lat, lon }),
+            request(`${WEATHER_BASE_URL}/air_pollution/forecast`, { lat, lon })
+        ]);
+
+        const toReading = (entry) => ({
+            time: entry.dt,
+            pm2_5: entry.components.pm2_5,
+            pm10: entry.components.pm10,
+            o3: entry.components.o3,
+            no2: entry.components.no2
+        });
+
+        return {
+            current: toReading(current.list[0]),
+            forecast: forecast.list.map(toReading)
+        };
+    }
+
+    async function alerts(lat, lon, lang = 'en') {
+        const data = await request(ONE_CALL_URL, { lat, lon, lang, units: 'metric', exclude: 'minutely,hourly,daily' });
+
+        return {
+            uvIndex: data.current?.uvi ?? null,
+            observedAt: data.current?.dt,
+            alerts: (data.alerts || []).map(alert => ({
+                event: alert.event,
+                sender: alert.sender_name,
+                start: alert.start,
+                end: alert.end,
+                description: alert.description,
+                tags: alert.tags || []
+            }))
+        };
+    }
+
+    return {
+        name: 'openweathermap',
+        isConfigured: () => Boolean(apiKey),
+        geocode,
+        reverseGeocode,
+        current,
+        forecast,
+        airQuality,
+        ...(oneCall ? { alerts } : {})
+    };
+}
+
+module.exports = { createOpenWeatherMapProvider };
@@ -0,0 +1,171 @@
+const Redis = require('ioredis');
+const { RateLimiterMemory, RateLimiterRedis } = require('rate-limiter-flexible');
+const { logger } = require('./logger');
+
+const DEFAULT_DURATION = 60; // Seconds
+
+// Requests per client IP in each window, by route group
+const DEFAULT_POLICIES = {
+    static: 600,
+    health: 300,
+    search: 60,
+    weather: 100
+};
+
+function readPositive(envName, fallback) {
+    const value = parseInt(process.env[envName], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Policies from the environment: RATE_LIMIT_POINTS for weather routes (the
+// default policy), RATE_LIMIT_<POLICY>_POINTS for the others, all per
+// RATE_LIMIT_DURATION seconds
+function readPolicies() {
+    const duration = readPositive('RATE_LIMIT_DURATION', DEFAULT_DURATION);
+    const policies = {};
+    for (const [name, points] of Object.entries(DEFAULT_POLICIES)) {
+        const envName = name === 'weather' ? 'RATE_LIMIT_POINTS' : `RATE_LIMIT_${name.toUpperCase()}_POINTS`;
+        policies[name] = { name, points: readPositive(envName, points), duration };
+    }
+    return policies;
+}
+
+// Request counters. With REDIS_URL the counters are shared, so the limits
+// hold across every web node and survive restarts; while Redis is
+// unreachable each node falls back to its own in-memory counters.
+//
+// A limit is { name, points, duration }; counters are kept per limit and
+// client key.
+function createRateLimiter(options = {}) {
+    const redisUrl = options.redisUrl ?? process.env.REDIS_URL;
+    const policies = options.policies ?? readPolicies();
+    const limiters = new Map();
+
+    let client = null;
+    if (redisUrl) {
+        client = new Redis(redisUrl, {
+            enableOfflineQueue: false,
+            maxRetriesPerRequest: 1
+        });
+        client.on('error', (error) => {
+            logger.error('Redis rate limiter error', { error: error.message });
+        });
+    }
+
+    function limiterFor({ name, points, duration }) {
+        const id = `${name}:${points}:${duration}`;
+        if (!limiters.has(id)) {
+            const memory = new RateLimiterMemory({ keyPrefix: name, points, duration });
+            limiters.set(id, client
+                ? new RateLimiterRedis({
+                    storeClient: client,
+                    keyPrefix: `weather:ratelimit:${name}`,
+                    points,
+                    duration,
+                    rejectIfRedisNotReady: true,
+                    insuranceLimiter: memory
+                })
+                : memory);
+        }
+        return limiters.get(id);
+    }
+
+    const toState = (limit, result) => ({
+        name: limit.name,
+        limit: limit.points,
+        remaining: Math.max(result.remainingPoints, 0),
+        // Seconds until the window resets
+        reset: Math.ceil(result.msBeforeNext / 1000)
+    });
+
+    // Takes `cost` points from each limit in turn. Resolves with { allowed,
+    // name, limit, remaining, reset } for the limit that refused the request,
+    // or else the one with the fewest points left.
+    async function consume(key, limits, cost = 1) {
+        const states = [];
+        for (const limit of limits) {
+            try {
+                states.push(toState(limit, await limiterFor(limit).consume(key, cost)));
+            } catch (rejection) {
+                if (rejection instanceof Error) {
+                    throw rejection;
+                }
+                return { allowed: false, ...toState(limit, rejection) };
+            }
+        }
+        const tightest = states.reduce((best, state) => state.remaining < best.remaining ? state : best);
+        return { allowed: true, ...tightest };
+    }
+
+    // Points used in the current window of a limit, without consuming any
+    async function usage(key, limit) {
+        const result = await limiterFor(limit).get(key);
+        return {
+            used: result ? result.consumedPoints : 0,
+            limit: limit.points,
+            reset: result ? Math.ceil(result.msBeforeNext / 1000) : null
+        };
+    }
+
+    return {
+        name: client ? 'redis' : 'memory',
+        policies,
+        consume,
+        usage
+    };
+}
+
+// Express middleware consuming `costOf(req)` points per request from the
+// limits `limitsOf(req)` returns as { key, limits }. `onReject(req, state)` is
+// told about every refused request.
+function rateLimitMiddleware(rateLimiter, { limitsOf, costOf = () => 1, onReject = () => {} }) {
+    const setHeaders = (res, state) => {
+        res.setHeader('X-RateLimit-Limit', state.limit);
+        res.setHeader('X-RateLimit-Remaining', state.remaining);
+        res.setHeader('X-RateLimit-Reset', state.reset);
+    };
+
+    return async (req, res, next) => {
+        const { key, limits } = limitsOf(req);
+        let state;
+        try {
+            state = await rateLimiter.consume(key, limits, costOf(req));
+        } catch (error) {
+            // Counters unavailable: let the request through rather than fail it
+            logger.error('Rate limiter failed', { error: error.message });
+            return next();
+        }
+
+        setHeaders(res, state);
+        if (!state.allowed) {
+            onReject(req, state);
+            res.setHeader('Retry-After', state.reset);
+            return res.status(429).json({
+                error: 'Too many requests',
+                message: 'Rate limit exceeded. Please try again later.'
+            });
+        }
+        next();
+    };
+}
+
+// TRUST_PROXY for Express's "trust proxy": a hop count, true/false, or a
+// comma-separated list of proxy addresses or subnets (e.g. "10.0.0.0/8")
+function parseTrustProxy(value) {
+    if (value === undefined || value.trim() === '') {
+        return false;
+    }
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10);
+    }
+    if (['true', 'false'].includes(value.trim())) {
+        return value.trim() === 'true';
+    }
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+module.exports = {
+    createRateLimiter,
+    parseTrustProxy,
+    rateLimitMiddleware
+};
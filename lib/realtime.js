@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const Redis = require('ioredis');
+const { logger } = require('./logger');
+
+const DEFAULT_POLL_INTERVAL = 60; // Seconds
+
+// How long a node keeps the right to poll a key; a bit under the interval so
+// the next round can claim it again
+const CLAIM_RATIO = 0.9;
+
+// In-process bus, used when no shared backend is configured
+class MemoryBus {
+    constructor() {
+        this.name = 'memory';
+        this.emitter = new EventEmitter();
+        this.claims = new Map();
+        this.fingerprints = new Map();
+    }
+
+    async claim(key, ttlMs) {
+        const now = Date.now();
+        if ((this.claims.get(key) || 0) > now) {
+            return false;
+        }
+        this.claims.set(key, now + ttlMs);
+        return true;
+    }
+
+    // Stores the new fingerprint and returns the previous one
+    async swapFingerprint(key, fingerprint) {
+        const previous = this.fingerprints.get(key) ?? null;
+        this.fingerprints.set(key, fingerprint);
+        return previous;
+    }
+
+    async forget(key) {
+        this.claims.delete(key);
+        this.fingerprints.delete(key);
+    }
+
+    async publish(message) {
+        this.emitter.emit('message', message);
+    }
+
+    onMessage(handler) {
+        this.emitter.on('message', handler);
+    }
+}
+
+// Redis bus: every web node receives every update and forwards it to its own
+// connected clients, whichever node noticed the change
+class RedisBus {
+    constructor(url, prefix = 'weather:stream:') {
+        this.name = 'redis';
+        this.prefix = prefix;
+        this.channel = `${prefix}updates`;
+        this.publisher = new Redis(url, {
+            enableOfflineQueue: false,
+            maxRetriesPerRequest: 1
+        });
+        // A connection in subscriber mode can't run other commands
+        this.subscriber = new Redis(url);
+
+        for (const client of [this.publisher, this.subscriber]) {
+            client.on('error', (error) => {
+                logger.error('Redis update bus error', { error: error.message });
+            });
+        }
+        this.subscriber.subscribe(this.channel).catch((error) => {
+            logger.error('Redis update bus subscribe failed', { error: error.message });
+        });
+    }
+
+    async claim(key, ttlMs) {
+        const result = await this.publisher.set(`${this.prefix}claim:${key}`, '1', 'PX', ttlMs, 'NX');
+        return result === 'OK';
+    }
+
+    async swapFingerprint(key, fingerprint, ttl = 24 * 60 * 60) {
+        return this.publisher.set(`${this.prefix}fingerprint:${key}`, fingerprint, 'EX', ttl, 'GET');
+    }
+
+    // Fingerprints expire on their own; another node may still be subscribed
+    async forget() {}
+
+    async publish(message) {
+        await this.publisher.publish(this.channel, JSON.stringify(message));
+    }
+
+    onMessage(handler) {
+        this.subscriber.on('message', (channel, raw) => {
+            if (channel !== this.channel) {
+                return;
+            }
+            try {
+                handler(JSON.parse(raw));
+            } catch (error) {
+                logger.warn('Invalid update bus message', { error: error.message });
+            }
+        });
+    }
+}
+
+function createUpdateBus(options = {}) {
+    const redisUrl = options.redisUrl ?? process.env.REDIS_URL;
+    return redisUrl ? new RedisBus(redisUrl) : new MemoryBus();
+}
+
+// Live updates for subscribed keys. Each interval, one node (whichever claims
+// the key first) fetches the key's data and publishes it on the bus if its
+// fingerprint changed; every node then pushes it to its local subscribers.
+//
+// fetchUpdate(key) returns the update to publish; fingerprint(update) returns
+// the part of it whose change is worth pushing.
+function createUpdateHub({ bus, fetchUpdate, fingerprint = JSON.stringify, interval }) {
+    const pollInterval = (interval || parseInt(process.env.STREAM_POLL_INTERVAL, 10) || DEFAULT_POLL_INTERVAL) * 1000;
+    const subscribers = new Map(); // key -> Set of send functions
+    let timer = null;
+
+    const hash = (update) => crypto.createHash('sha1').update(fingerprint(update)).digest('hex');
+
+    function deliver(key, update) {
+        for (const send of subscribers.get(key) || []) {
+            send(update);
+        }
+    }
+
+    bus.onMessage(({ key, update }) => deliver(key, update));
+
+    async function poll(key) {
+        try {
+            if (!(await bus.claim(key, pollInterval * CLAIM_RATIO))) {
+                return;
+            }
+
+            const update = await fetchUpdate(key);
+            const current = hash(update);
+            const previous = await bus.swapFingerprint(key, current);
+            if (previous !== current) {
+                await bus.publish({ key, update });
+            }
+        } catch (error) {
+            logger.error('Live update failed', { key, error: error.message });
+        }
+    }
+
+    function pollAll() {
+        return Promise.all([...subscribers.keys()].map(poll));
+    }
+
+    // Calls send(update) with the current data for each key, then again
+    // whenever it changes. Returns the unsubscribe function.
+    function subscribe(keys, send) {
+        for (const key of keys) {
+            if (!subscribers.has(key)) {
+                subscribers.set(key, new Set());
+            }
+            subscribers.get(key).add(send);
+        }
+
+        if (!timer) {
+            timer = setInterval(pollAll, pollInterval);
+            timer.unref();
+        }
+
+        // The current data goes straight to the new subscriber. Its fingerprint
+        // is recorded so the next poll doesn't push the same data again; if it
+        // changed since the last poll, the other subscribers get it too.
+        keys.forEach(async (key) => {
+            try {
+                const update = await fetchUpdate(key);
+                send(update);
+
+                const current = hash(update);
+                const previous = await bus.swapFingerprint(key, current);
+                if (previous !== null && previous !== current) {
+                    await bus.publish({ key, update });
+                }
+            } catch (error) {
+                logger.error('Initial live update failed', { key, error: error.message });
+            }
+        });
+
+        return () => {
+            for (const key of keys) {
+                const keySubscribers = subscribers.get(key);
+                keySubscribers?.delete(send);
+                if (keySubscribers?.size === 0) {
+                    subscribers.delete(key);
+                    bus.forget(key);
+                }
+            }
+
+            if (subscribers.size === 0) {
+                clearInterval(timer);
+                timer = null;
+            }
+        };
+    }
+
+    return {
+        bus,
+        pollInterval,
+        subscribe
+    };
+}
+
+module.exports = {
+    MemoryBus,
+    RedisBus,
+    createUpdateBus,
+    createUpdateHub
+};
@@ -0,0 +1,57 @@
+// Unit systems for API responses. Providers return metric values (°C, m/s,
+// metres, mm); conversion happens only when a response is built, so cached
+// upstream data is shared by every unit system.
+const UNIT_SYSTEMS = {
+    metric: { temperature: '°C', windSpeed: 'km/h', visibility: 'km', precipitation: 'mm' },
+    imperial: { temperature: '°F', windSpeed: 'mph', visibility: 'mi', precipitation: 'in' },
+    standard: { temperature: 'K', windSpeed: 'm/s', visibility: 'km', precipitation: 'mm' }
+};
+
+const DEFAULT_UNITS = 'metric';
+
+function round(value, digits = 0) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function isUnitSystem(value) {
+    return Object.prototype.hasOwnProperty.call(UNIT_SYSTEMS, value);
+}
+
+function createConverter(system = DEFAULT_UNITS) {
+    const imperial = system === 'imperial';
+
+    return {
+        system,
+        labels: { system, ...UNIT_SYSTEMS[system] },
+
+        temperature(celsius) {
+            if (imperial) {
+                return round(celsius * 9 / 5 + 32);
+            }
+            return system === 'standard' ? round(celsius + 273.15) : round(celsius);
+        },
+
+        windSpeed(metresPerSecond) {
+            if (imperial) {
+                return round(metresPerSecond * 2.23694);
+            }
+            return system === 'standard' ? round(metresPerSecond, 1) : round(metresPerSecond * 3.6);
+        },
+
+        visibility(metres) {
+            return imperial ? round(metres / 1609.344, 1) : round(metres / 1000);
+        },
+
+        precipitation(millimetres) {
+            return imperial ? round(millimetres / 25.4, 2) : round(millimetres, 2);
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_UNITS,
+    UNIT_SYSTEMS,
+    createConverter,
+    isUnitSystem
+};
@@ -1,27 +1,123 @@
 // Weather Dashboard Application
+
+// Canonical location IDs issued by the API, e.g. "gb_51.5073_-0.1276"
+const LOCATION_ID_PATTERN = /^[a-z]{2}_-?\d{1,2}\.\d{4}_-?\d{1,3}\.\d{4}$/;
+
+// Temperature labels per unit system, for snapshots stored on the client
+const TEMPERATURE_LABELS = { metric: '°C', imperial: '°F', standard: 'K' };
+
+// City shown when the user's location is unavailable
+const DEFAULT_CITY = 'Toronto';
+
+// Display names for pollutants in the air quality card
+const POLLUTANT_LABELS = { pm2_5: 'PM2.5', pm10: 'PM10', o3: 'O₃', no2: 'NO₂' };
+
+// Response unit for the peak value of each derived alert type
+const ALERT_PEAK_UNITS = { heat: 'temperature', frost: 'temperature', wind: 'windSpeed', rain: 'precipitation' };
+
+// Value charted for each comparison ranking
+const COMPARISON_CHART_METRICS = { best: 'temperature', warmest: 'temperature', driest: 'precipitation', calmest: 'windSpeed' };
+const SERIES_COLORS = ['#ffeaa7', '#55efc4', '#fd79a8', '#a29bfe', '#fab1a0'];
+// Match the server's limits
+const MAX_COMPARISON_CITIES = 50;
+const MAX_BATCH_LOCATIONS = 50;
+const MAX_STREAM_LOCATIONS = 50;
+
+// Matches the server's current-weather cache TTL, so each refresh can bring new data
+const FAVORITES_REFRESH_INTERVAL = 10 * 60 * 1000;
+
+// Live update stream: reconnect delays double from the base up to the max
+const STREAM_RETRY_BASE = 1000;
+const STREAM_RETRY_MAX = 60 * 1000;
+const STREAM_DEBOUNCE = 500;
+
+// Recorded history ranges in days; a day or less is shown hour by hour
+const HISTORY_RANGES = [1, 7, 30];
+const DEFAULT_HISTORY_RANGE = 7;
+
+// Hourly timeline geometry, in pixels
+const HOURLY_SLOT_WIDTH = 64;
+const CHART_HEIGHT = 90;
+const CHART_PADDING = 20;
+
 class WeatherApp {
     constructor() {
         this.currentCity = '';
+        // A shared link's units apply to this visit without replacing the saved preference
+        this.units = this.readUrlState().units || this.loadUnits();
+        this.language = 'en';
+        this.supportedLanguages = [];
+        this.translations = {};
+        this.fallbackTranslations = {};
+        this.lastComparison = null;
+        this.comparisonData = null;
+        this.session = this.loadSession();
+        this.pendingSync = this.loadPendingSync();
         this.favorites = this.loadFavorites();
+        this.favoriteAlerts = {};
+        this.draggedFavorite = null;
+        this.favoritesRefreshTimer = null;
+        this.favoritesRefreshedAt = 0;
+        this.currentWeather = null;
+        this.historyRange = DEFAULT_HISTORY_RANGE;
+        this.stream = null;
+        this.streamUrl = null;
+        // A subscription the server refused (4xx), not retried until it changes
+        this.rejectedStreamUrl = null;
+        this.streamRetries = 0;
+        this.streamTimer = null;
         this.searchTimeout = null;
         this.init();
     }
 
-    init() {
+    async init() {
+        await this.initLanguage();
         this.bindEvents();
+        this.updateUnitToggle();
         this.updateDateTime();
         this.renderFavorites();
+        this.updateAccountUI();
+
+        // Offline support; without it the dashboard still works online
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch((error) => {
+                console.error('Service worker registration failed:', error);
+            });
+        }
+
+        // Signed-in users get their account's favorites (after any edits made
+        // offline reach the server); others keep the browser's
+        if (this.session) {
+            this.flushPendingSync().then(() => this.syncFavorites(false));
+        } else {
+            this.refreshFavorites();
+        }
+        this.startFavoritesRefresh();
 
-        // Load default city (user's location or a default)
-        this.loadDefaultCity();
+        // A city in the URL (a shared link) wins over the user's location
+        const { city } = this.readUrlState();
+        if (city) {
+            this.loadWeatherData(city);
+        } else {
+            this.loadDefaultCity();
+        }
 
         // Update time every minute
         setInterval(() => this.updateDateTime(), 60000);
         
         // Handle visibility change to pause/resume updates when tab is inactive
         document.addEventListener('visibilitychange', () => {
-            if (!document.hidden) {
+            if (document.hidden) {
+                this.stopFavoritesRefresh();
+                clearTimeout(this.streamTimer);
+                this.closeLiveStream();
+            } else {
+                this.updateLiveStream();
                 this.updateDateTime();
+                if (Date.now() - this.favoritesRefreshedAt >= FAVORITES_REFRESH_INTERVAL) {
+                    this.refreshFavorites();
+                }
+                this.startFavoritesRefresh();
             }
         });
     }
@@ -62,14 +158,16 @@ class WeatherApp {
             if (favoriteBtn) {
                 // Handle favorite button click
                 e.stopPropagation();
+                const locationId = favoriteBtn.getAttribute('data-location-id');
                 const cityName = favoriteBtn.getAttribute('data-city-name');
                 const cityCountry = favoriteBtn.getAttribute('data-city-country');
-                this.toggleFavorite(cityName, cityCountry, favoriteBtn);
-            } else if (searchResult) {
-                // Handle search result click
-                const cityName = searchResult.getAttribute('data-city-name');
-                const cityCountry = searchResult.getAttribute('data-city-country');
-                this.selectCity(cityName, cityCountry);
+                this.toggleFavorite(locationId, cityName, cityCountry, favoriteBtn);
+            } else if (searchResult && searchResult.hasAttribute('data-lat')) {
+                // Handle search result click; coordinates are already known
+                this.selectCity({
+                    lat: searchResult.getAttribute('data-lat'),
+                    lon: searchResult.getAttribute('data-lon')
+                });
             }
         });
 
@@ -89,20 +187,82 @@ class WeatherApp {
         document.getElementById('favoriteCities').addEventListener('click', (e) => {
             const favoriteCard = e.target.closest('.favorite-card');
             const removeBtn = e.target.closest('.remove-favorite');
+            const editBtn = e.target.closest('.edit-favorite');
             
             if (removeBtn) {
                 // Handle remove favorite button click
                 e.stopPropagation();
                 const cityKey = removeBtn.getAttribute('data-city-key');
                 this.removeFavorite(cityKey);
+            } else if (editBtn) {
+                e.stopPropagation();
+                this.editFavoriteLabel(editBtn.getAttribute('data-city-key'));
             } else if (favoriteCard) {
                 // Handle favorite card click
-                const cityDisplay = favoriteCard.getAttribute('data-city-display');
-                this.loadWeatherData(cityDisplay);
-                this.currentCity = cityDisplay;
+                this.navigateTo(favoriteCard.getAttribute('data-location'));
+            }
+        });
+
+        // Drag favorite cards to reorder them
+        const favoritesContainer = document.getElementById('favoriteCities');
+        favoritesContainer.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.favorite-card');
+            if (card) {
+                this.draggedFavorite = card.getAttribute('data-city-key');
+                e.dataTransfer.effectAllowed = 'move';
+                card.classList.add('dragging');
+            }
+        });
+        favoritesContainer.addEventListener('dragover', (e) => {
+            if (this.draggedFavorite) {
+                e.preventDefault();
+            }
+        });
+        favoritesContainer.addEventListener('drop', (e) => {
+            const target = e.target.closest('.favorite-card');
+            if (target && this.draggedFavorite) {
+                e.preventDefault();
+                this.moveFavorite(this.draggedFavorite, target.getAttribute('data-city-key'));
+            }
+        });
+        favoritesContainer.addEventListener('dragend', (e) => {
+            this.draggedFavorite = null;
+            e.target.closest('.favorite-card')?.classList.remove('dragging');
+        });
+
+        // Back/forward between cities visited in this tab
+        window.addEventListener('popstate', () => {
+            this.applyUrlState();
+        });
+
+        // Back online: replay queued favorite edits and replace cached data
+        window.addEventListener('online', async () => {
+            if (this.session) {
+                await this.flushPendingSync();
+                await this.syncFavorites(false);
+            } else {
+                this.refreshFavorites();
+            }
+            if (this.currentCity) {
+                this.loadWeatherData(this.currentCity);
             }
         });
 
+        // Account panel
+        document.getElementById('accountBtn').addEventListener('click', () => {
+            document.getElementById('accountPanel').classList.toggle('hidden');
+        });
+
+        document.getElementById('authForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const mode = e.submitter?.getAttribute('data-auth-mode') || 'login';
+            this.submitAuth(mode);
+        });
+
+        document.getElementById('logoutBtn').addEventListener('click', () => {
+            this.signOut();
+        });
+
         // Comparison functionality
         document.getElementById('compareBtn').addEventListener('click', () => {
             this.toggleComparison();
@@ -112,6 +272,44 @@ class WeatherApp {
             this.startComparison();
         });
 
+        // Period, ranking and weights are computed by the server; the filter only hides cards
+        ['comparisonDays', 'comparisonRank', 'comparisonWeights'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                if (this.lastComparison) {
+                    this.runComparison(this.lastComparison);
+                }
+            });
+        });
+        document.getElementById('comparisonRank').addEventListener('change', (e) => {
+            document.getElementById('comparisonWeights').classList.toggle('hidden', e.target.value !== 'best');
+        });
+        document.getElementById('comparisonFilter').addEventListener('change', () => {
+            if (this.comparisonData) {
+                this.displayComparison();
+            }
+        });
+
+        // History range
+        document.getElementById('historyRanges').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-history-days]');
+            if (button) {
+                this.setHistoryRange(parseInt(button.getAttribute('data-history-days'), 10));
+            }
+        });
+
+        // Language selector
+        document.getElementById('languageSelect').addEventListener('change', (e) => {
+            this.setLanguage(e.target.value);
+        });
+
+        // Unit toggle
+        document.getElementById('unitToggle').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-units]');
+            if (button) {
+                this.setUnits(button.getAttribute('data-units'));
+            }
+        });
+
     }
 
     async handleSearchInput(e) {
@@ -152,23 +350,22 @@ class WeatherApp {
         const resultsContainer = document.getElementById('searchResults');
 
         if (cities.length === 0) {
-            resultsContainer.innerHTML = '<div class="search-result"><div class="result-info"><p>No cities found</p></div></div>';
+            resultsContainer.innerHTML = `<div class="search-result"><div class="result-info"><p>${this.t('search.noResults')}</p></div></div>`;
             resultsContainer.style.display = 'block';
             return;
         }
 
         resultsContainer.innerHTML = cities.map(city => {
-            const cityKey = `${city.name},${city.country}`;
-            const isFavorited = this.favorites.some(fav => fav.key === cityKey);
+            const isFavorited = this.findFavoriteIndex(city.id, city.name, city.country) >= 0;
 
             return `
-                <div class="search-result" data-city-name="${city.name}" data-city-country="${city.country}">
+                <div class="search-result" data-lat="${city.coordinates[0]}" data-lon="${city.coordinates[1]}">
                     <div class="result-info">
                         <h4>${city.name}</h4>
                         <p>${city.state ? city.state + ', ' : ''}${city.country}</p>
                     </div>
-                    <button class="add-favorite ${isFavorited ? 'favorited' : ''}" 
-                            data-city-name="${city.name}" data-city-country="${city.country}">
+                    <button class="add-favorite ${isFavorited ? 'favorited' : ''}" title="${this.t('search.addFavorite')}" 
+                            data-location-id="${city.id}" data-city-name="${city.name}" data-city-country="${city.country}">
                         <i class="fas fa-star"></i>
                     </button>
                 </div>
@@ -178,64 +375,170 @@ class WeatherApp {
         resultsContainer.style.display = 'block';
     }
 
-    async selectCity(cityName, country) {
+    async selectCity(location) {
         document.getElementById('searchResults').style.display = 'none';
         document.getElementById('citySearch').value = '';
 
-        const cityKey = country ? `${cityName}, ${country}` : cityName;
-        this.currentCity = cityKey;
-
-        await this.loadWeatherData(cityKey);
+        await this.navigateTo(location);
     }
 
     async searchCity(query) {
         document.getElementById('searchResults').style.display = 'none';
         document.getElementById('citySearch').value = '';
 
-        this.currentCity = query;
-        await this.loadWeatherData(query);
+        await this.navigateTo(query);
+    }
+
+    // Loads a city the user picked and adds it to the browser history, so the
+    // page can be linked to and Back returns to the previous city. Typed names
+    // stay readable in the URL; coordinates and favorites are linked by ID.
+    async navigateTo(location) {
+        const loaded = await this.loadWeatherData(location);
+        if (loaded) {
+            const isName = typeof location === 'string' && !LOCATION_ID_PATTERN.test(location);
+            this.updateUrl(isName ? location : loaded.id, true);
+        }
+        return loaded;
+    }
+
+    // Shareable page state: ?city= (name or location ID), ?units= and ?lang=
+    readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const units = params.get('units');
+        return {
+            city: params.get('city')?.trim() || null,
+            units: TEMPERATURE_LABELS[units] ? units : null,
+            language: params.get('lang')
+        };
+    }
+
+    // Writes the city and units into the URL; `lang` is only kept in step when
+    // the link already had one. Settings changes replace the entry, new cities push one.
+    updateUrl(city, push = false) {
+        const params = new URLSearchParams(window.location.search);
+        if (city) {
+            params.set('city', city);
+        }
+        params.set('units', this.units);
+        if (params.has('lang')) {
+            params.set('lang', this.language);
+        }
+
+        const url = `${window.location.pathname}?${params}`;
+        if (url !== window.location.pathname + window.location.search) {
+            history[push ? 'pushState' : 'replaceState'](null, '', url);
+        }
+    }
+
+    // After Back/Forward: show the city and settings the URL now holds
+    async applyUrlState() {
+        const { city, units, language } = this.readUrlState();
+
+        if (language && language !== this.language && this.supportedLanguages.some(item => item.code === language)) {
+            await this.applyLanguage(language);
+            this.updateDateTime();
+            this.renderFavorites();
+        }
+        if (units && units !== this.units) {
+            this.units = units;
+            this.updateUnitToggle();
+            this.renderFavorites();
+        }
+
+        if (city) {
+            await this.loadWeatherData(city);
+        } else {
+            this.loadDefaultCity();
+        }
+    }
+
+    // Locations are city names, location IDs or { lat, lon } objects;
+    // IDs and coordinates skip geocoding on the server
+    locationPath(location) {
+        if (typeof location === 'object') {
+            return `coords/${encodeURIComponent(location.lat)}/${encodeURIComponent(location.lon)}`;
+        }
+
+        return LOCATION_ID_PATTERN.test(location)
+            ? `by-id/${encodeURIComponent(location)}`
+            : encodeURIComponent(location);
+    }
+
+    formatLocationName(location) {
+        return [location.name, location.state, location.country].filter(Boolean).join(', ');
     }
 
     async loadWeatherData(city) {
+        this.currentCity = city;
         this.showLoading();
         this.hideError();
 
         try {
-            // Load current weather and forecast in parallel
-            const [currentResponse, forecastResponse] = await Promise.all([
-                fetch(`/api/weather/current/${encodeURIComponent(city)}`),
-                fetch(`/api/weather/forecast/${encodeURIComponent(city)}`)
+            // Load current weather, forecast, hourly timeline, alerts and air quality in parallel
+            const [currentResponse, forecastResponse, hourlyResponse, alertsResponse, airQualityResponse] = await Promise.all([
+                fetch(`/api/weather/current/${this.locationPath(city)}?${this.apiQuery()}`),
+                fetch(`/api/weather/forecast/${this.locationPath(city)}?${this.apiQuery()}`),
+                fetch(`/api/weather/hourly/${this.locationPath(city)}?${this.apiQuery()}`),
+                fetch(`/api/weather/alerts/${this.locationPath(city)}?${this.apiQuery()}`),
+                fetch(`/api/air-quality/${this.locationPath(city)}`)
             ]);
 
             const currentData = await currentResponse.json();
             const forecastData = await forecastResponse.json();
+            const hourlyData = await hourlyResponse.json();
+            const alertsData = await alertsResponse.json();
+            const airQualityData = await airQualityResponse.json();
 
             if (currentResponse.ok && forecastResponse.ok) {
+                this.updateOfflineIndicator(currentResponse);
                 this.displayCurrentWeather(currentData);
                 this.displayForecast(forecastData);
+                // The timeline, alerts and air quality are nice-to-haves; the page still works without them
+                this.displayHourly(hourlyResponse.ok ? hourlyData : null);
+                this.displayAlerts(alertsResponse.ok ? alertsData : null);
+                this.displayAirQuality(airQualityResponse.ok ? airQualityData : null);
                 this.hideLoading();
                 this.showWeatherSections();
+                this.currentWeather = currentData;
+                this.setExportLinks('forecastExports', `/api/export/forecast/${this.locationPath(currentData.location.id)}`);
+                this.updateLiveStream();
+                this.loadHistory();
+                return currentData.location;
             } else {
-                throw new Error(currentData.message || forecastData.message || 'Failed to load weather data');
+                const error = new Error(currentData.message || forecastData.message || 'Failed to load weather data');
+                error.status = currentResponse.ok ? forecastResponse.status : currentResponse.status;
+                throw error;
             }
         } catch (error) {
             console.error('Weather data error:', error);
             this.hideLoading();
-            this.showError(error.message || 'Failed to load weather data. Please try again.');
+            this.showError(navigator.onLine ? this.errorMessage(error.status) : this.t('error.offline'));
+            return null;
+        }
+    }
+
+    // The service worker marks responses served from its offline cache with X-Cached-At
+    updateOfflineIndicator(response) {
+        const cachedAt = response.headers.get('X-Cached-At');
+        if (cachedAt) {
+            document.getElementById('offlineText').textContent =
+                this.t('offline.indicator', { time: this.formatUpdatedAt(cachedAt) });
         }
+        document.getElementById('offlineIndicator').classList.toggle('hidden', !cachedAt);
     }
 
     displayCurrentWeather(data) {
-        const { location, current } = data;
+        const { location, current, units } = data;
 
         // Update location info
-        const cityDisplay = `${location.name}${location.state ? ', ' + location.state : ''}, ${location.country}`;
-        document.getElementById('currentCity').textContent = cityDisplay;
+        document.getElementById('currentCity').textContent = this.formatLocationName(location);
 
         // Update main weather info
         document.getElementById('currentTemp').textContent = current.temperature;
+        document.getElementById('currentTempUnit').textContent = units.temperature;
         document.getElementById('currentDescription').textContent = current.description;
         document.getElementById('feelsLike').textContent = current.feelsLike;
+        document.getElementById('feelsLikeUnit').textContent = units.temperature;
 
         // Update weather icon
         const iconElement = document.getElementById('currentIcon');
@@ -243,61 +546,382 @@ class WeatherApp {
         iconElement.alt = current.description;
 
         // Update weather stats
-        document.getElementById('visibility').textContent = `${current.visibility} km`;
+        document.getElementById('visibility').textContent = `${current.visibility} ${units.visibility}`;
         document.getElementById('humidity').textContent = `${current.humidity}%`;
-        document.getElementById('windSpeed').textContent = `${current.windSpeed} km/h`;
+        document.getElementById('windSpeed').textContent = `${current.windSpeed} ${units.windSpeed}`;
         document.getElementById('pressure').textContent = `${current.pressure} hPa`;
     }
 
     displayForecast(data) {
         const forecastContainer = document.getElementById('forecast');
-        const { forecast } = data;
+        const { forecast, units } = data;
 
         forecastContainer.innerHTML = forecast.map(day => `
             <div class="forecast-card">
                 <div class="day">${day.dayName}</div>
                 <div class="date">${this.formatDate(day.date)}</div>
                 <img src="https://openweathermap.org/img/wn/${day.icon}@2x.png" alt="${day.description}">
-                <div class="temp">${day.temperature.min}° / ${day.temperature.max}°</div>
+                <div class="temp">${this.shortTemperature(day.temperature.min, units)} / ${this.shortTemperature(day.temperature.max, units)}</div>
                 <div class="description">${day.description}</div>
                 <div class="forecast-details">
                     <span><i class="fas fa-tint"></i> ${day.humidity}%</span>
-                    <span><i class="fas fa-wind"></i> ${day.windSpeed} km/h</span>
+                    <span><i class="fas fa-wind"></i> ${day.windSpeed} ${units.windSpeed}</span>
+                    <span><i class="fas fa-umbrella"></i> ${day.precipitationProbability}%</span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    displayAirQuality(data) {
+        const stat = document.getElementById('airQualityStat');
+        if (!data) {
+            stat.classList.add('hidden');
+            return;
+        }
+
+        const { airQuality, forecast, units } = data;
+        const value = document.getElementById('airQuality');
+        value.className = `aqi-${airQuality.category}`;
+        value.textContent = airQuality.aqi === null
+            ? this.t('airQuality.unknown')
+            : `${airQuality.aqi} · ${this.t(`airQuality.${airQuality.category}`)}`;
+
+        const components = Object.entries(airQuality.components)
+            .filter(([, concentration]) => concentration !== null)
+            .map(([pollutant, concentration]) => `${POLLUTANT_LABELS[pollutant]} ${concentration}`)
+            .join(' · ');
+
+        // Worst reading over the short-term forecast
+        const worst = forecast.reduce((peak, reading) => (reading.aqi > peak.aqi ? reading : peak), airQuality);
+
+        document.getElementById('airQualityDetail').textContent =
+            `${components} ${units.concentration} — ${this.t('airQuality.outlook', { category: this.t(`airQuality.${worst.category}`) })}`;
+        stat.classList.remove('hidden');
+    }
+
+    displayAlerts(data) {
+        const banner = document.getElementById('alertBanner');
+        if (!data || data.alerts.length === 0) {
+            banner.classList.add('hidden');
+            return;
+        }
+
+        const worst = data.alerts[0].severity;
+        banner.className = `alert-banner severity-${worst}`;
+        banner.innerHTML = `
+            <h3><i class="fas fa-exclamation-triangle"></i> ${this.t('alerts.title')}</h3>
+            <ul>
+                ${data.alerts.map(alert => `
+                    <li class="severity-${alert.severity}">
+                        <strong>${this.alertTitle(alert)}</strong>
+                        <span class="alert-period">${this.alertPeriod(alert)}</span>
+                        ${this.alertDetail(alert, data.units)}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    alertTitle(alert) {
+        if (alert.type === 'government') {
+            return alert.sender ? `${alert.event} (${alert.sender})` : alert.event;
+        }
+        return `${this.t(`alerts.${alert.type}`)} · ${this.t(`alerts.severity.${alert.severity}`)}`;
+    }
+
+    alertPeriod(alert) {
+        const format = value => new Date(value).toLocaleString(this.language, {
+            weekday: 'short', hour: 'numeric', minute: '2-digit'
+        });
+
+        if (!alert.end) {
+            return this.t('alerts.now');
+        }
+        return this.t('alerts.period', { start: format(alert.start), end: format(alert.end) });
+    }
+
+    alertDetail(alert, units) {
+        if (alert.type === 'government') {
+            return alert.description ? `<p>${alert.description}</p>` : '';
+        }
+
+        const unit = ALERT_PEAK_UNITS[alert.type];
+        const value = unit ? `${alert.peak} ${units[unit]}` : alert.peak;
+        return `<span class="alert-peak">${this.t('alerts.peak', { value })}</span>`;
+    }
+
+    displayHourly(data) {
+        const section = document.getElementById('hourlySection');
+        if (!data || data.hourly.length === 0) {
+            section.classList.add('hidden');
+            return;
+        }
+
+        const { hourly, units } = data;
+        const precipitation = hourly.map(slot => slot.precipitation);
+
+        const slots = hourly.map((slot, index) => {
+            // localTime is the wall clock at the location, so format it as UTC
+            const time = new Date(`${slot.localTime}Z`);
+            const newDay = index === 0 || slot.localTime.slice(0, 10) !== hourly[index - 1].localTime.slice(0, 10);
+
+            return `
+                <div class="hourly-slot ${newDay ? 'new-day' : ''}">
+                    <div class="hourly-day">${newDay ? time.toLocaleDateString(this.language, { weekday: 'short', timeZone: 'UTC' }) : ''}</div>
+                    <div class="hourly-time">${time.toLocaleTimeString(this.language, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })}</div>
+                    <img src="https://openweathermap.org/img/wn/${slot.icon}.png" alt="${slot.description}" title="${slot.description}">
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('hourlyTimeline').innerHTML = `
+            <div class="hourly-slots">${slots}</div>
+            <div class="hourly-row">
+                <span class="hourly-label">${this.t('hourly.temperature')} (${units.temperature})</span>
+                ${this.renderLineChart(hourly.map(slot => slot.temperature), 'chart-temperature', value => `${value}°`)}
+            </div>
+            <div class="hourly-row">
+                <span class="hourly-label">${this.t('hourly.precipitation')} (${units.precipitation})</span>
+                ${this.renderBarChart(precipitation, hourly.map(slot => `${slot.precipitationProbability}%`), 'chart-precipitation')}
+            </div>
+            <div class="hourly-row">
+                <span class="hourly-label">${this.t('hourly.wind')} (${units.windSpeed})</span>
+                ${this.renderLineChart(hourly.map(slot => slot.windSpeed), 'chart-wind', value => value)}
+            </div>
+        `;
+        section.classList.remove('hidden');
+    }
+
+    // Recorded history for the current location, loaded after the rest of the page
+    async loadHistory() {
+        const locationId = this.currentWeather?.location.id;
+        if (!locationId) {
+            return;
+        }
+
+        const from = new Date(Date.now() - this.historyRange * 24 * 60 * 60 * 1000).toISOString();
+        try {
+            const response = await fetch(`/api/weather/history/by-id/${encodeURIComponent(locationId)}?from=${encodeURIComponent(from)}&${this.apiQuery()}`);
+            const data = await response.json();
+            // A newer location may have been loaded meanwhile
+            if (locationId === this.currentWeather?.location.id) {
+                this.displayHistory(response.ok ? data : null);
+            }
+        } catch (error) {
+            console.error('History error:', error);
+            this.displayHistory(null);
+        }
+    }
+
+    setHistoryRange(days) {
+        if (!HISTORY_RANGES.includes(days) || days === this.historyRange) {
+            return;
+        }
+        this.historyRange = days;
+        this.loadHistory();
+    }
+
+    displayHistory(data) {
+        const section = document.getElementById('historySection');
+        if (!data) {
+            section.classList.add('hidden');
+            return;
+        }
+
+        document.querySelectorAll('#historyRanges [data-history-days]').forEach(button => {
+            const active = parseInt(button.getAttribute('data-history-days'), 10) === this.historyRange;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+
+        // Buckets with no temperature reading can't be charted
+        const buckets = data.history.filter(bucket => bucket.temperature.avg !== null);
+        const message = document.getElementById('historyMessage');
+        const timeline = document.getElementById('historyTimeline');
+        section.classList.remove('hidden');
+
+        if (buckets.length === 0) {
+            message.textContent = this.t(data.tracked ? 'history.empty' : 'history.untracked');
+            message.classList.remove('hidden');
+            document.getElementById('historyScroll').classList.add('hidden');
+            return;
+        }
+        message.classList.add('hidden');
+        document.getElementById('historyScroll').classList.remove('hidden');
+
+        const { units } = data;
+        const slots = buckets.map((bucket, index) => {
+            if (bucket.date) {
+                // Daily buckets are the location's calendar days
+                return `
+                    <div class="hourly-slot new-day">
+                        <div class="hourly-day">${new Date(bucket.date).toLocaleDateString(this.language, { weekday: 'short', timeZone: 'UTC' })}</div>
+                        <div class="hourly-time">${this.formatDate(bucket.date)}</div>
+                    </div>
+                `;
+            }
+
+            const time = new Date(bucket.time);
+            const newDay = index === 0 || time.toDateString() !== new Date(buckets[index - 1].time).toDateString();
+            return `
+                <div class="hourly-slot ${newDay ? 'new-day' : ''}">
+                    <div class="hourly-day">${newDay ? time.toLocaleDateString(this.language, { weekday: 'short' }) : ''}</div>
+                    <div class="hourly-time">${time.toLocaleTimeString(this.language, { hour: 'numeric', minute: '2-digit' })}</div>
                 </div>
+            `;
+        }).join('');
+
+        const average = field => buckets.map(bucket => bucket[field].avg ?? 0);
+        timeline.innerHTML = `
+            <div class="hourly-slots">${slots}</div>
+            <div class="hourly-row">
+                <span class="hourly-label">${this.t('history.temperature')} (${units.temperature})</span>
+                ${this.renderRangeChart(buckets.map(bucket => bucket.temperature), 'chart-range', value => `${Math.round(value)}°`)}
+            </div>
+            <div class="hourly-row">
+                <span class="hourly-label">${this.t('history.humidity')} (%)</span>
+                ${this.renderLineChart(average('humidity').map(Math.round), 'chart-humidity', value => value)}
             </div>
+            <div class="hourly-row">
+                <span class="hourly-label">${this.t('hourly.wind')} (${units.windSpeed})</span>
+                ${this.renderLineChart(average('windSpeed').map(value => Math.round(value * 10) / 10), 'chart-wind', value => value)}
+            </div>
+        `;
+    }
+
+    // Charts are plain inline SVG, so nothing is loaded from outside 'self'
+    chartX(index) {
+        return index * HOURLY_SLOT_WIDTH + HOURLY_SLOT_WIDTH / 2;
+    }
+
+    renderLineChart(values, className, format) {
+        const width = values.length * HOURLY_SLOT_WIDTH;
+        const min = Math.min(...values);
+        const range = Math.max(...values) - min || 1;
+        const y = value => CHART_PADDING + (1 - (value - min) / range) * (CHART_HEIGHT - CHART_PADDING * 1.5);
+
+        const points = values.map((value, index) => `${this.chartX(index)},${y(value).toFixed(1)}`).join(' ');
+        const markers = values.map((value, index) => `
+            <circle cx="${this.chartX(index)}" cy="${y(value).toFixed(1)}" r="3" />
+            <text x="${this.chartX(index)}" y="${(y(value) - 8).toFixed(1)}">${format(value)}</text>
+        `).join('');
+
+        return `
+            <svg class="chart ${className}" width="${width}" height="${CHART_HEIGHT}" viewBox="0 0 ${width} ${CHART_HEIGHT}" aria-hidden="true">
+                <polyline points="${points}" />
+                ${markers}
+            </svg>
+        `;
+    }
+
+    // A min-max band with the average drawn as a line over it
+    renderRangeChart(ranges, className, format) {
+        const width = ranges.length * HOURLY_SLOT_WIDTH;
+        const min = Math.min(...ranges.map(range => range.min));
+        const spread = Math.max(...ranges.map(range => range.max)) - min || 1;
+        const y = value => (CHART_PADDING + (1 - (value - min) / spread) * (CHART_HEIGHT - CHART_PADDING * 1.5)).toFixed(1);
+
+        const upper = ranges.map((range, index) => `${this.chartX(index)},${y(range.max)}`);
+        const lower = ranges.map((range, index) => `${this.chartX(index)},${y(range.min)}`).reverse();
+        const points = ranges.map((range, index) => `${this.chartX(index)},${y(range.avg)}`).join(' ');
+        const markers = ranges.map((range, index) => `
+            <circle cx="${this.chartX(index)}" cy="${y(range.avg)}" r="3" />
+            <text x="${this.chartX(index)}" y="${(y(range.max) - 8).toFixed(1)}">${format(range.avg)}</text>
         `).join('');
+
+        return `
+            <svg class="chart ${className}" width="${width}" height="${CHART_HEIGHT}" viewBox="0 0 ${width} ${CHART_HEIGHT}" aria-hidden="true">
+                <polygon points="${[...upper, ...lower].join(' ')}" />
+                <polyline points="${points}" />
+                ${markers}
+            </svg>
+        `;
+    }
+
+    renderBarChart(values, captions, className) {
+        const width = values.length * HOURLY_SLOT_WIDTH;
+        const max = Math.max(...values, 1);
+        const barWidth = HOURLY_SLOT_WIDTH / 2;
+        const baseline = CHART_HEIGHT - CHART_PADDING;
+
+        const bars = values.map((value, index) => {
+            const height = (value / max) * (baseline - CHART_PADDING);
+            const x = this.chartX(index);
+            return `
+                <rect x="${x - barWidth / 2}" y="${(baseline - height).toFixed(1)}" width="${barWidth}" height="${height.toFixed(1)}" />
+                ${value > 0 ? `<text x="${x}" y="${(baseline - height - 6).toFixed(1)}">${value}</text>` : ''}
+                <text class="caption" x="${x}" y="${CHART_HEIGHT - 5}">${captions[index]}</text>
+            `;
+        }).join('');
+
+        return `
+            <svg class="chart ${className}" width="${width}" height="${CHART_HEIGHT}" viewBox="0 0 ${width} ${CHART_HEIGHT}" aria-hidden="true">
+                <line x1="0" y1="${baseline}" x2="${width}" y2="${baseline}" />
+                ${bars}
+            </svg>
+        `;
+    }
+
+    // Favorites saved before location IDs existed are keyed by "Name,CC"
+    findFavoriteIndex(locationId, cityName, country) {
+        const legacyKey = `${cityName},${country}`;
+        return this.favorites.findIndex(fav => fav.key === locationId || fav.key === legacyKey);
     }
 
-    async toggleFavorite(cityName, country, buttonElement) {
-        const cityKey = `${cityName},${country}`;
-        const cityDisplay = country ? `${cityName}, ${country}` : cityName;
+    favoriteDisplay(name, country, label) {
+        return label || (country ? `${name}, ${country}` : name);
+    }
+
+    async toggleFavorite(locationId, cityName, country, buttonElement) {
+        const cityDisplay = this.favoriteDisplay(cityName, country);
 
-        const existingIndex = this.favorites.findIndex(fav => fav.key === cityKey);
+        const existingIndex = this.findFavoriteIndex(locationId, cityName, country);
 
         if (existingIndex >= 0) {
             // Remove from favorites
-            this.favorites.splice(existingIndex, 1);
+            const [removed] = this.favorites.splice(existingIndex, 1);
             buttonElement.classList.remove('favorited');
+            this.deleteAccountFavorite(removed);
         } else {
             // Add to favorites
             try {
-                const response = await fetch(`/api/weather/current/${encodeURIComponent(cityDisplay)}`);
+                const response = await fetch(`/api/weather/current/${this.locationPath(locationId)}?${this.apiQuery()}`);
                 const data = await response.json();
 
-                if (response.ok) {
-                    this.favorites.push({
-                        key: cityKey,
-                        name: cityName,
-                        country: country,
-                        display: cityDisplay,
-                        temperature: data.current.temperature,
-                        description: data.current.description,
-                        icon: data.current.icon
-                    });
-                    buttonElement.classList.add('favorited');
-                } else {
+                if (!response.ok) {
                     throw new Error(data.message);
                 }
+
+                const cacheAge = parseInt(response.headers.get('X-Cache-Age'), 10) || 0;
+                const favorite = {
+                    key: locationId,
+                    id: locationId,
+                    name: cityName,
+                    country: country,
+                    display: cityDisplay,
+                    temperature: data.current.temperature,
+                    units: data.units.system,
+                    description: data.current.description,
+                    icon: data.current.icon,
+                    updatedAt: new Date(Date.now() - cacheAge * 1000).toISOString()
+                };
+
+                if (this.session) {
+                    const saved = await this.accountRequest('/api/favorites', {
+                        method: 'POST',
+                        body: JSON.stringify({ locationId, name: cityName, country })
+                    });
+                    // Queued while offline: the server ID arrives with the next sync
+                    if (saved && !saved.ok) {
+                        throw new Error((await saved.json()).message);
+                    }
+                    if (saved) {
+                        favorite.serverId = (await saved.json()).favorite.id;
+                    }
+                }
+
+                this.favorites.push(favorite);
+                buttonElement.classList.add('favorited');
             } catch (error) {
                 console.error('Failed to add favorite:', error);
                 return;
@@ -308,6 +932,23 @@ class WeatherApp {
         this.renderFavorites();
     }
 
+    // Alert counts for favorite cards come from the live stream (see
+    // handleLiveUpdate), which sends every subscribed location's alerts on
+    // connect and again when they change, rather than an alerts request per
+    // favorite on every refresh
+    renderFavoriteAlertBadge(city) {
+        const alerts = this.favoriteAlerts[city.key];
+        if (!alerts || alerts.count === 0) {
+            return '';
+        }
+
+        return `
+            <span class="alert-badge severity-${alerts.severity}" title="${this.t('alerts.badge', { count: alerts.count })}">
+                <i class="fas fa-exclamation-triangle"></i> ${alerts.count}
+            </span>
+        `;
+    }
+
     renderFavorites() {
         const container = document.getElementById('favoriteCities');
 
@@ -315,132 +956,780 @@ class WeatherApp {
             container.innerHTML = `
                 <div class="empty-state">
                     <i class="fas fa-map-marker-alt"></i>
-                    <p>No favorite cities yet. Search for a city and click the star to add it!</p>
+                    <p>${this.t('favorites.empty')}</p>
                 </div>
             `;
             return;
         }
 
+        // Favorites synced from an account have no weather snapshot until it loads
         container.innerHTML = this.favorites.map(city => `
-            <div class="favorite-card" data-city-display="${city.display}">
-                <button class="remove-favorite" data-city-key="${city.key}">
+            <div class="favorite-card" draggable="true" data-city-key="${city.key}">
+                <button class="remove-favorite" data-city-key="${city.key}" title="${this.t('favorites.remove')}">
                     <i class="fas fa-times"></i>
                 </button>
-                <div class="city-name">${city.display}</div>
-                <div class="temp-display">${city.temperature}°C</div>
-                <div class="description">${city.description}</div>
-                <img src="https://openweathermap.org/img/wn/${city.icon}@2x.png" alt="${city.description}" style="width: 50px; height: 50px;">
+                <button class="edit-favorite" data-city-key="${city.key}" title="${this.t('favorites.editLabel')}">
+                    <i class="fas fa-pen"></i>
+                </button>
+                ${this.renderFavoriteAlertBadge(city)}
+                <div class="city-name"></div>
+                <div class="temp-display">${city.temperature === undefined ? '--' : this.convertTemperature(city.temperature, city.units)}${TEMPERATURE_LABELS[this.units]}</div>
+                <div class="description">${city.description || ''}</div>
+                ${city.icon ? `<img src="https://openweathermap.org/img/wn/${city.icon}@2x.png" alt="${city.description}" style="width: 50px; height: 50px;">` : ''}
+                ${city.updatedAt ? `<div class="updated">${this.t('favorites.updated', { time: this.formatUpdatedAt(city.updatedAt) })}</div>` : ''}
             </div>
         `).join('');
+
+        // Labels are the user's own text, synced from other devices: set as
+        // text, never parsed as HTML
+        container.querySelectorAll('.favorite-card').forEach((card, index) => {
+            const city = this.favorites[index];
+            card.dataset.location = city.id || city.display;
+            card.querySelector('.city-name').textContent = city.display;
+        });
     }
 
     removeFavorite(cityKey) {
+        const removed = this.favorites.find(fav => fav.key === cityKey);
         this.favorites = this.favorites.filter(fav => fav.key !== cityKey);
         this.saveFavorites();
         this.renderFavorites();
+        this.deleteAccountFavorite(removed);
     }
 
     clearFavorites() {
-        if (confirm('Are you sure you want to clear all favorite cities?')) {
+        if (confirm(this.t('favorites.clearConfirm'))) {
+            const removed = this.favorites;
             this.favorites = [];
             this.saveFavorites();
             this.renderFavorites();
+            removed.forEach(favorite => this.deleteAccountFavorite(favorite));
         }
     }
 
-    toggleComparison() {
-        const container = document.getElementById('comparisonContainer');
-        if (container.classList.contains('hidden')) {
-            container.classList.remove('hidden');
-            document.getElementById('compareBtn').textContent = 'Hide Comparison';
-        } else {
-            container.classList.add('hidden');
-            document.getElementById('compareBtn').textContent = 'Compare Cities';
+    async editFavoriteLabel(cityKey) {
+        const favorite = this.favorites.find(fav => fav.key === cityKey);
+        const input = prompt(this.t('favorites.labelPrompt'), favorite.label || '');
+        if (input === null) {
+            return;
         }
-    }
 
-    async startComparison() {
-        const input = document.getElementById('comparisonInput');
-        const cities = input.value.split(',').map(city => city.trim()).filter(city => city.length > 0);
+        favorite.label = input.trim() || null;
+        favorite.display = this.favoriteDisplay(favorite.name, favorite.country, favorite.label);
+        this.saveFavorites();
+        this.renderFavorites();
 
-        if (cities.length < 2) {
-            alert('Please enter at least 2 cities separated by commas');
-            return;
+        if (this.session && favorite.serverId) {
+            try {
+                await this.accountRequest(`/api/favorites/${favorite.serverId}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ label: favorite.label })
+                });
+            } catch (error) {
+                console.error('Failed to save favorite label:', error);
+            }
+        } else if (this.session) {
+            // Added offline: the label goes with the queued addition
+            this.updatePendingAddition(favorite.id, body => ({ ...body, label: favorite.label }));
         }
+    }
 
-        if (cities.length > 5) {
-            alert('Maximum 5 cities allowed for comparison');
+    async moveFavorite(fromKey, toKey) {
+        const from = this.favorites.findIndex(fav => fav.key === fromKey);
+        const to = this.favorites.findIndex(fav => fav.key === toKey);
+        if (from < 0 || to < 0 || from === to) {
             return;
         }
 
-        try {
-            const response = await fetch('/api/weather/compare', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ cities })
-            });
+        const [moved] = this.favorites.splice(from, 1);
+        this.favorites.splice(to, 0, moved);
+        this.saveFavorites();
+        this.renderFavorites();
 
-            const data = await response.json();
+        if (this.session && this.favorites.every(fav => fav.serverId)) {
+            try {
+                await this.accountRequest('/api/favorites/order', {
+                    method: 'PUT',
+                    body: JSON.stringify({ ids: this.favorites.map(fav => fav.serverId) })
+                });
+            } catch (error) {
+                console.error('Failed to save favorite order:', error);
+            }
+        }
+    }
 
-            if (response.ok) {
-                this.displayComparison(data.comparison);
+    // Accounts
+    loadSession() {
+        try {
+            const stored = localStorage.getItem('weatherSession');
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.error('Failed to load session:', error);
+            return null;
+        }
+    }
+
+    saveSession() {
+        try {
+            if (this.session) {
+                localStorage.setItem('weatherSession', JSON.stringify(this.session));
             } else {
-                throw new Error(data.message);
+                localStorage.removeItem('weatherSession');
             }
         } catch (error) {
-            console.error('Comparison error:', error);
-            const resultsContainer = document.getElementById('comparisonResults');
-            resultsContainer.innerHTML = `
-                <div class="comparison-error">
-                    <i class="fas fa-exclamation-triangle"></i>
-                    <p>Failed to compare cities. Please check your internet connection and try again.</p>
-                </div>
-            `;
+            console.error('Failed to save session:', error);
         }
     }
 
-    displayComparison(comparisons) {
-        const container = document.getElementById('comparisonResults');
+    // fetch() with the session's access token; an expired token signs the user out
+    async authFetch(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.session.token}`,
+                ...options.headers
+            }
+        });
 
-        // Find best and worst temperatures
-        const validComparisons = comparisons.filter(c => !c.error);
-        if (validComparisons.length === 0) {
-            container.innerHTML = '<p>No valid city data found for comparison.</p>';
-            return;
+        if (response.status === 401) {
+            this.signOut();
+            throw new Error('Session expired');
         }
+        return response;
+    }
 
-        const temperatures = validComparisons.map(c => c.temperature);
-        const maxTemp = Math.max(...temperatures);
-        const minTemp = Math.min(...temperatures);
+    async submitAuth(mode) {
+        const errorElement = document.getElementById('authError');
+        const passwordInput = document.getElementById('authPassword');
+        errorElement.classList.add('hidden');
 
-        container.innerHTML = comparisons.map(city => {
-            if (city.error) {
-                return `
-                    <div class="comparison-card">
-                        <div class="city">${city.city}</div>
-                        <div class="error">Error: ${city.error}</div>
-                    </div>
-                `;
+        try {
+            const response = await fetch(`/api/auth/${mode}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    email: document.getElementById('authEmail').value.trim(),
+                    password: passwordInput.value
+                })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                const key = { 400: 'account.invalidInput', 401: 'account.invalidCredentials', 409: 'account.exists' }[response.status];
+                throw new Error(this.t(key || 'account.failed'));
+            }
+
+            this.session = { token: data.token, user: data.user };
+            this.saveSession();
+            passwordInput.value = '';
+            this.updateAccountUI();
+
+            // Favorites saved in this browser before signing in join the account
+            await this.syncFavorites(true);
+        } catch (error) {
+            errorElement.textContent = error instanceof TypeError ? this.t('account.failed') : error.message;
+            errorElement.classList.remove('hidden');
+        }
+    }
+
+    signOut() {
+        this.session = null;
+        this.saveSession();
+        this.pendingSync = [];
+        this.savePendingSync();
+
+        // The browser copy belongs to the account, so it goes too
+        this.favorites = [];
+        this.favoriteAlerts = {};
+        this.saveFavorites();
+        this.renderFavorites();
+        this.updateAccountUI();
+    }
+
+    updateAccountUI() {
+        const label = document.getElementById('accountLabel');
+        const signedIn = Boolean(this.session);
+
+        document.getElementById('authForm').classList.toggle('hidden', signedIn);
+        document.getElementById('accountInfo').classList.toggle('hidden', !signedIn);
+
+        if (signedIn) {
+            label.removeAttribute('data-i18n');
+            label.textContent = this.session.user.email;
+            document.getElementById('accountEmail').textContent = this.session.user.email;
+        } else {
+            label.setAttribute('data-i18n', 'account.signIn');
+            label.textContent = this.t('account.signIn');
+        }
+    }
+
+    // Replace the favorites list with the account's, optionally merging the
+    // browser's favorites into the account first
+    async syncFavorites(mergeLocal) {
+        const previous = this.favorites;
+
+        try {
+            const response = mergeLocal && previous.length > 0
+                ? await this.authFetch('/api/favorites/merge', {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        favorites: previous.map(fav => ({ locationId: fav.id, name: fav.name, country: fav.country, label: fav.label }))
+                    })
+                })
+                : await this.authFetch('/api/favorites');
+
+            if (!response.ok) {
+                throw new Error(`Favorites request failed with status ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.favorites = data.favorites.map(favorite => {
+                // Keep the weather snapshot when the favorite was already in this browser
+                const snapshot = previous.find(fav => fav.id === favorite.locationId) || {};
+                return {
+                    ...snapshot,
+                    key: favorite.locationId,
+                    id: favorite.locationId,
+                    serverId: favorite.id,
+                    name: favorite.name,
+                    country: favorite.country,
+                    label: favorite.label,
+                    display: this.favoriteDisplay(favorite.name, favorite.country, favorite.label)
+                };
+            });
+
+            this.saveFavorites();
+            this.renderFavorites();
+            await this.refreshFavorites();
+        } catch (error) {
+            console.error('Failed to sync favorites:', error);
+        }
+    }
+
+    async refreshFavorites() {
+        this.favoritesRefreshedAt = Date.now();
+        await this.refreshFavoriteWeather();
+    }
+
+    // Refresh favorites periodically while the tab is visible
+    startFavoritesRefresh() {
+        this.stopFavoritesRefresh();
+        this.favoritesRefreshTimer = setInterval(() => this.refreshFavorites(), FAVORITES_REFRESH_INTERVAL);
+    }
+
+    stopFavoritesRefresh() {
+        clearInterval(this.favoritesRefreshTimer);
+        this.favoritesRefreshTimer = null;
+    }
+
+    // Current conditions for every favorite, in as few batch requests as the
+    // server's batch limit allows
+    async refreshFavoriteWeather() {
+        const favorites = this.favorites;
+        let refreshed = false;
+
+        for (let start = 0; start < favorites.length; start += MAX_BATCH_LOCATIONS) {
+            const chunk = favorites.slice(start, start + MAX_BATCH_LOCATIONS);
+            try {
+                const response = await fetch(`/api/weather/batch?${this.apiQuery()}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ locations: chunk.map(city => city.id || city.display) })
+                });
+                const data = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(data.message);
+                }
+
+                data.results.forEach((result, index) => {
+                    if (result.error) {
+                        console.error(`Failed to refresh ${chunk[index].display}: ${result.message}`);
+                        return;
+                    }
+
+                    Object.assign(chunk[index], {
+                        // Favorites saved by name before location IDs existed pick one up here
+                        id: chunk[index].id || result.location.id,
+                        temperature: result.current.temperature,
+                        units: data.units.system,
+                        description: result.current.description,
+                        icon: result.current.icon,
+                        updatedAt: result.updatedAt
+                    });
+                });
+                refreshed = true;
+            } catch (error) {
+                console.error('Failed to refresh favorites:', error);
+            }
+        }
+
+        if (refreshed) {
+            this.saveFavorites();
+            this.renderFavorites();
+        }
+    }
+
+    // Live updates
+    // Subscribes to the current location and the favorites. Bursts of changes
+    // (e.g. on page load) make a single connection, and an unchanged
+    // subscription keeps the open one.
+    updateLiveStream() {
+        clearTimeout(this.streamTimer);
+        this.streamTimer = setTimeout(() => this.connectLiveStream(), STREAM_DEBOUNCE);
+    }
+
+    liveStreamUrl() {
+        const ids = [this.currentWeather?.location.id, ...this.favorites.map(fav => fav.id)]
+            .filter(id => id && LOCATION_ID_PATTERN.test(id));
+        // The current location first; favorites past the server's limit are
+        // left to the periodic refresh
+        const unique = [...new Set(ids)].slice(0, MAX_STREAM_LOCATIONS);
+
+        return unique.length > 0
+            ? `/api/stream?locations=${unique.map(encodeURIComponent).join(',')}&${this.apiQuery()}`
+            : null;
+    }
+
+    connectLiveStream() {
+        const url = document.hidden ? null : this.liveStreamUrl();
+        if ((this.stream && url === this.streamUrl) || url === this.rejectedStreamUrl) {
+            return;
+        }
+
+        this.closeLiveStream();
+        if (!url || typeof EventSource === 'undefined') {
+            return;
+        }
+
+        const stream = new EventSource(url);
+        stream.addEventListener('open', () => {
+            this.streamRetries = 0;
+        });
+        stream.addEventListener('weather', (e) => {
+            this.handleLiveUpdate(JSON.parse(e.data));
+        });
+        // EventSource would retry at a fixed rate; back off with jitter instead so
+        // clients don't all reconnect at once after a server restart
+        stream.addEventListener('error', async () => {
+            // Refused outright (not a dropped connection): retrying the same
+            // subscription can't help if the request itself is at fault
+            const refused = stream.readyState === EventSource.CLOSED;
+            this.closeLiveStream();
+            if (refused && await this.isStreamRejected(url)) {
+                console.error('Live updates refused for this subscription; not reconnecting');
+                this.rejectedStreamUrl = url;
+                return;
+            }
+
+            const delay = Math.min(STREAM_RETRY_MAX, STREAM_RETRY_BASE * 2 ** this.streamRetries);
+            this.streamRetries++;
+            this.streamTimer = setTimeout(() => this.connectLiveStream(), delay * (0.5 + Math.random() / 2));
+        });
+
+        this.stream = stream;
+        this.streamUrl = url;
+    }
+
+    // EventSource doesn't expose the status of a refused connection, so ask
+    // again and drop the body: 4xx other than 429 means the request is invalid
+    async isStreamRejected(url) {
+        const controller = new AbortController();
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            return response.status >= 400 && response.status < 500 && response.status !== 429;
+        } catch (error) {
+            return false;
+        } finally {
+            controller.abort();
+        }
+    }
+
+    closeLiveStream() {
+        if (this.stream) {
+            this.stream.close();
+            this.stream = null;
+        }
+        this.streamUrl = null;
+    }
+
+    handleLiveUpdate(update) {
+        if (update.locationId === this.currentWeather?.location.id) {
+            this.currentWeather = { ...this.currentWeather, current: update.current, units: update.units };
+            this.displayCurrentWeather(this.currentWeather);
+            this.displayAlerts({ alerts: update.alerts, units: update.units });
+        }
+
+        const favorite = this.favorites.find(fav => fav.id === update.locationId);
+        if (favorite) {
+            Object.assign(favorite, {
+                temperature: update.current.temperature,
+                units: update.units.system,
+                description: update.current.description,
+                icon: update.current.icon,
+                updatedAt: update.updatedAt
+            });
+            this.favoriteAlerts[favorite.key] = {
+                count: update.alerts.length,
+                severity: update.alerts[0]?.severity
+            };
+            this.saveFavorites();
+            this.renderFavorites();
+        }
+    }
+
+    formatUpdatedAt(timestamp) {
+        const date = new Date(timestamp);
+        const sameDay = date.toDateString() === new Date().toDateString();
+        return sameDay
+            ? date.toLocaleTimeString(this.language, { hour: '2-digit', minute: '2-digit' })
+            : date.toLocaleString(this.language, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+
+    async deleteAccountFavorite(favorite) {
+        if (!this.session || !favorite) {
+            return;
+        }
+
+        // Added offline and never synced: dropping the queued addition is enough
+        if (!favorite.serverId) {
+            this.updatePendingAddition(favorite.id, () => null);
+            return;
+        }
+
+        try {
+            await this.accountRequest(`/api/favorites/${favorite.serverId}`, { method: 'DELETE' });
+        } catch (error) {
+            console.error('Failed to remove favorite from account:', error);
+        }
+    }
+
+    // Offline sync queue
+    loadPendingSync() {
+        try {
+            const stored = localStorage.getItem('weatherPendingSync');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Failed to load pending favorite edits:', error);
+            return [];
+        }
+    }
+
+    savePendingSync() {
+        try {
+            localStorage.setItem('weatherPendingSync', JSON.stringify(this.pendingSync));
+        } catch (error) {
+            console.error('Failed to save pending favorite edits:', error);
+        }
+    }
+
+    // Account favorite edits. When the network is down the edit is queued for
+    // flushPendingSync and null is returned instead of a response.
+    async accountRequest(url, options) {
+        try {
+            return await this.authFetch(url, options);
+        } catch (error) {
+            // fetch() only rejects with a TypeError on network failure
+            if (!(error instanceof TypeError)) {
+                throw error;
+            }
+            this.pendingSync.push({ url, method: options.method, body: options.body });
+            this.savePendingSync();
+            return null;
+        }
+    }
+
+    // Rewrites (or, when update returns null, drops) the queued addition of a location
+    updatePendingAddition(locationId, update) {
+        this.pendingSync = this.pendingSync.flatMap(edit => {
+            if (edit.method !== 'POST' || edit.url !== '/api/favorites') {
+                return [edit];
+            }
+            const body = JSON.parse(edit.body);
+            if (body.locationId !== locationId) {
+                return [edit];
+            }
+            const updated = update(body);
+            return updated ? [{ ...edit, body: JSON.stringify(updated) }] : [];
+        });
+        this.savePendingSync();
+    }
+
+    // Replays queued edits in order, stopping while still offline. Edits the
+    // server rejects (e.g. removing a favorite already removed elsewhere) are dropped.
+    async flushPendingSync() {
+        while (this.session && this.pendingSync.length > 0) {
+            const [edit] = this.pendingSync;
+            try {
+                await this.authFetch(edit.url, { method: edit.method, body: edit.body });
+            } catch (error) {
+                if (error instanceof TypeError) {
+                    return;
+                }
+                console.error('Dropping queued favorite edit:', error);
+            }
+            this.pendingSync.shift();
+            this.savePendingSync();
+        }
+    }
+
+    toggleComparison() {
+        const container = document.getElementById('comparisonContainer');
+        const button = document.getElementById('compareBtn');
+        container.classList.toggle('hidden');
+
+        // Keep the key on the element so a language switch re-translates the right label
+        const key = container.classList.contains('hidden') ? 'comparison.show' : 'comparison.hide';
+        button.setAttribute('data-i18n', key);
+        button.textContent = this.t(key);
+    }
+
+    async startComparison() {
+        const input = document.getElementById('comparisonInput');
+        const cities = input.value.split(',').map(city => city.trim()).filter(city => city.length > 0);
+
+        if (cities.length < 2) {
+            alert(this.t('comparison.tooFew'));
+            return;
+        }
+
+        if (cities.length > MAX_COMPARISON_CITIES) {
+            alert(this.t('comparison.tooMany', { max: MAX_COMPARISON_CITIES }));
+            return;
+        }
+
+        await this.runComparison(cities);
+    }
+
+    // Period, ranking criterion and score weights from the comparison controls
+    comparisonOptions() {
+        const weights = {};
+        document.querySelectorAll('#comparisonWeights [data-weight]').forEach(input => {
+            weights[input.getAttribute('data-weight')] = Number(input.value);
+        });
+        return {
+            days: Number(document.getElementById('comparisonDays').value),
+            rankBy: document.getElementById('comparisonRank').value,
+            weights
+        };
+    }
+
+    async runComparison(cities) {
+        this.lastComparison = cities;
+        const options = this.comparisonOptions();
+        document.getElementById('comparisonWeights').classList.toggle('hidden', options.rankBy !== 'best');
+
+        // All-zero weights leave nothing to rank on; the server would reject them
+        const body = { cities, days: options.days, rankBy: options.rankBy };
+        if (Object.values(options.weights).some(weight => weight > 0)) {
+            body.weights = options.weights;
+        }
+
+        try {
+            const response = await fetch(`/api/weather/compare?${this.apiQuery()}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/x-ndjson'
+                },
+                body: JSON.stringify(body)
+            });
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.message);
+            }
+
+            this.comparisonData = await this.readComparisonStream(response);
+            this.displayComparison();
+            const query = cities.map(city => `cities=${encodeURIComponent(city)}`).join('&');
+            this.setExportLinks('comparisonExports', `/api/export/compare?${query}&days=${options.days}&rankBy=${options.rankBy}`);
+        } catch (error) {
+            console.error('Comparison error:', error);
+            this.comparisonData = null;
+            document.getElementById('comparisonExports').classList.add('hidden');
+            document.getElementById('comparisonChart').classList.add('hidden');
+            const resultsContainer = document.getElementById('comparisonResults');
+            resultsContainer.innerHTML = `
+                <div class="comparison-error">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <p>${this.t('comparison.failed')}</p>
+                </div>
+            `;
+        }
+    }
+
+    // Counts cities as the server streams them, until the ranked comparison arrives
+    async readComparisonStream(response) {
+        const progress = document.getElementById('comparisonResults');
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        let received = 0;
+
+        progress.innerHTML = `<p class="comparison-note">${this.t('comparison.progress', { count: received })}</p>`;
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) {
+                throw new Error('Comparison ended before all cities were compared');
+            }
+            buffer += value;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines.filter(Boolean)) {
+                const message = JSON.parse(line);
+                if (message.type === 'complete') {
+                    return message;
+                }
+                received++;
+                progress.innerHTML = `<p class="comparison-note">${this.t('comparison.progress', { count: received })}</p>`;
             }
+        }
+    }
+
+    // Points the container's download links at the export endpoint, in the
+    // current units and language
+    setExportLinks(containerId, path) {
+        const container = document.getElementById(containerId);
+        const separator = path.includes('?') ? '&' : '?';
+        container.querySelectorAll('[data-export-format]').forEach(link => {
+            link.href = `${path}${separator}format=${link.getAttribute('data-export-format')}&${this.apiQuery()}`;
+        });
+        container.classList.remove('hidden');
+    }
+
+    // Cards in rank order (failed cities last), narrowed by the filter control
+    displayComparison() {
+        const container = document.getElementById('comparisonResults');
+        const chart = document.getElementById('comparisonChart');
+        const { comparison, counts, units } = this.comparisonData;
 
+        const ranked = comparison.filter(city => !city.error).sort((a, b) => a.rank - b.rank);
+        if (ranked.length === 0) {
+            chart.classList.add('hidden');
+            container.innerHTML = `<p>${this.t('comparison.noData')}</p>`;
+            return;
+        }
+
+        const lastRank = Math.max(...ranked.map(city => city.rank));
+        const filter = document.getElementById('comparisonFilter').value;
+        let shown = ranked;
+        if (filter === 'top3') shown = ranked.filter(city => city.rank <= 3);
+        if (filter === 'dry') shown = ranked.filter(city => city.summary.precipitation === 0);
+
+        chart.innerHTML = this.renderComparisonChart(shown, units);
+        chart.classList.toggle('hidden', shown.length === 0);
+
+        const failed = comparison.filter(city => city.error).map(city => `
+            <div class="comparison-card">
+                <div class="city">${city.city}</div>
+                <div class="error">${this.t('comparison.itemError', { message: city.message })}</div>
+            </div>
+        `);
+
+        const cards = shown.map(city => {
             let cardClass = '';
-            if (city.temperature === maxTemp) cardClass = 'best-temp';
-            if (city.temperature === minTemp) cardClass = 'worst-temp';
+            if (city.rank === 1) cardClass = 'top-ranked';
+            else if (city.rank === lastRank && ranked.length > 2) cardClass = 'bottom-ranked';
 
             return `
                 <div class="comparison-card ${cardClass}">
-                    <div class="city">${city.city}${city.country ? ', ' + city.country : ''}</div>
-                    <div class="temp">${city.temperature}°C</div>
-                    <div class="desc">${city.description}</div>
-                    <div class="details">
-                        <div><i class="fas fa-tint"></i> ${city.humidity}%</div>
-                        <div><i class="fas fa-wind"></i> ${city.windSpeed} km/h</div>
+                    <div class="rank">
+                        <strong>#${city.rank}</strong>
+                        <span>${this.t('comparison.score', { score: city.score })}</span>
                     </div>
+                    <div class="city">${city.city}${city.country ? ', ' + city.country : ''}</div>
+                    ${city.forecast ? this.renderComparisonPeriod(city, units) : `
+                        <div class="temp">${city.temperature}${units.temperature}</div>
+                        <div class="desc">${city.description}</div>
+                        <div class="details">
+                            <div><i class="fas fa-tint"></i> ${city.humidity}%</div>
+                            <div><i class="fas fa-wind"></i> ${city.windSpeed} ${units.windSpeed}</div>
+                        </div>
+                    `}
                 </div>
             `;
-        }).join('');
+        });
+
+        const duplicates = counts?.duplicates > 0
+            ? `<p class="comparison-note">${this.t('comparison.duplicates', { count: counts.duplicates })}</p>`
+            : '';
+        container.innerHTML = (cards.length > 0 || failed.length > 0
+            ? [...cards, ...failed].join('')
+            : `<p>${this.t('comparison.noMatches')}</p>`) + duplicates;
+    }
+
+    // Averages over the compared days, then a strip of daily highs and lows
+    renderComparisonPeriod(city, units) {
+        const { summary } = city;
+        const days = city.forecast.map(day => `
+            <div>
+                <div>${new Date(day.date).toLocaleDateString(this.language, { weekday: 'short', timeZone: 'UTC' })}</div>
+                <img src="https://openweathermap.org/img/wn/${day.icon}.png" alt="${day.description}" title="${day.description}">
+                <div>${this.shortTemperature(day.temperature.max, units)} / ${this.shortTemperature(day.temperature.min, units)}</div>
+            </div>
+        `).join('');
+
+        return `
+            <div class="temp">${this.shortTemperature(summary.temperature, units)} / ${this.shortTemperature(summary.temperatureMin, units)}</div>
+            <div class="desc">${this.t('comparison.averages')}</div>
+            <div class="details">
+                <div><i class="fas fa-cloud-rain"></i> ${summary.precipitation} ${units.precipitation} (${summary.precipitationProbability}%)</div>
+                <div><i class="fas fa-wind"></i> ${summary.windSpeed} ${units.windSpeed}</div>
+            </div>
+            <div class="comparison-days">${days}</div>
+        `;
+    }
+
+    // Side-by-side chart of the value being ranked: a line per city across
+    // the compared days, or a bar per city for current conditions
+    renderComparisonChart(cities, units) {
+        const metric = COMPARISON_CHART_METRICS[this.comparisonData.rankBy];
+        const width = 600;
+        const height = 180;
+        const padding = 30;
+
+        const seriesOf = city => city.forecast
+            ? city.forecast.map(day => metric === 'temperature' ? day.temperature.max : day[metric])
+            : [city.summary[metric]];
+        const series = cities.map(seriesOf);
+        const values = series.flat();
+        const min = Math.min(0, ...values);
+        const range = Math.max(...values) - min || 1;
+        const y = value => (height - padding - ((value - min) / range) * (height - padding * 2)).toFixed(1);
+        const color = index => SERIES_COLORS[index % SERIES_COLORS.length];
+
+        let plot;
+        if (cities[0]?.forecast) {
+            const days = cities[0].forecast;
+            const step = (width - padding * 2) / Math.max(days.length - 1, 1);
+            const x = index => (padding + index * step).toFixed(1);
+            plot = days.map((day, index) => `<text x="${x(index)}" y="${height - 8}">${this.formatDate(day.date)}</text>`).join('') +
+                series.map((points, seriesIndex) => `
+                    <polyline stroke="${color(seriesIndex)}" points="${points.map((value, index) => `${x(index)},${y(value)}`).join(' ')}" />
+                    ${points.map((value, index) => `<circle cx="${x(index)}" cy="${y(value)}" r="3" fill="${color(seriesIndex)}" />`).join('')}
+                `).join('');
+        } else {
+            const slot = (width - padding * 2) / cities.length;
+            const barWidth = Math.min(slot * 0.6, 60);
+            plot = series.map(([value], index) => {
+                const center = padding + slot * (index + 0.5);
+                const top = y(value);
+                return `
+                    <rect x="${(center - barWidth / 2).toFixed(1)}" y="${top}" width="${barWidth.toFixed(1)}" height="${(y(min) - top).toFixed(1)}" fill="${color(index)}" rx="4" />
+                    <text x="${center.toFixed(1)}" y="${(top - 6).toFixed(1)}">${value}</text>
+                `;
+            }).join('');
+        }
+
+        const legend = cities.map((city, index) => `<span style="--series-color: ${color(index)}">${city.city}</span>`).join('');
+        return `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${this.t(`comparison.chart.${metric}`)} (${units[metric]})">
+                <line class="axis" x1="${padding}" y1="${y(min)}" x2="${width - padding}" y2="${y(min)}" />
+                ${plot}
+            </svg>
+            <div class="comparison-legend"><strong>${this.t(`comparison.chart.${metric}`)} (${units[metric]})</strong>${legend}</div>
+        `;
     }
 
     // Utility methods
@@ -456,13 +1745,194 @@ class WeatherApp {
         };
         const dateElement = document.getElementById('currentDate');
         if (dateElement) {
-            dateElement.textContent = now.toLocaleDateString('en-US', options);
+            dateElement.textContent = now.toLocaleDateString(this.language, options);
         }
     }
 
+    // Forecast dates are the location's local calendar day, so format them as UTC
+    // rather than shifting them into the browser's timezone
     formatDate(dateString) {
         const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        return date.toLocaleDateString(this.language, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    }
+
+    // Internationalization
+    async initLanguage() {
+        let negotiated = 'en';
+        this.supportedLanguages = [{ code: 'en', name: 'English' }];
+
+        try {
+            // The server negotiates from the browser's Accept-Language header
+            const response = await fetch('/api/languages');
+            if (response.ok) {
+                const data = await response.json();
+                negotiated = data.language;
+                this.supportedLanguages = data.supported;
+            }
+        } catch (error) {
+            console.error('Failed to negotiate language:', error);
+        }
+
+        const stored = localStorage.getItem('weatherLanguage');
+        const isSupported = this.supportedLanguages.some(language => language.code === stored);
+
+        const select = document.getElementById('languageSelect');
+        select.innerHTML = this.supportedLanguages
+            .map(language => `<option value="${language.code}">${language.name}</option>`)
+            .join('');
+
+        // A shared link's language applies to this visit only
+        const requested = this.readUrlState().language;
+        if (this.supportedLanguages.some(language => language.code === requested)) {
+            await this.applyLanguage(requested);
+        } else {
+            await this.applyLanguage(isSupported ? stored : negotiated);
+        }
+    }
+
+    async loadTranslations(language) {
+        try {
+            const response = await fetch(`/locales/${language}.json`);
+            return response.ok ? await response.json() : {};
+        } catch (error) {
+            console.error(`Failed to load ${language} translations:`, error);
+            return {};
+        }
+    }
+
+    async applyLanguage(language) {
+        const [fallback, translations] = await Promise.all([
+            this.loadTranslations('en'),
+            language === 'en' ? null : this.loadTranslations(language)
+        ]);
+
+        this.language = language;
+        this.fallbackTranslations = fallback;
+        this.translations = translations || fallback;
+
+        document.documentElement.lang = language;
+        document.getElementById('languageSelect').value = language;
+        this.translatePage();
+    }
+
+    async setLanguage(language) {
+        if (language === this.language) {
+            return;
+        }
+
+        try {
+            localStorage.setItem('weatherLanguage', language);
+        } catch (error) {
+            console.error('Failed to save language preference:', error);
+        }
+
+        await this.applyLanguage(language);
+        this.updateDateTime();
+        this.renderFavorites();
+        if (window.location.search) {
+            this.updateUrl(null);
+        }
+
+        // Reload so condition descriptions and day names come back translated
+        if (this.currentCity) {
+            this.loadWeatherData(this.currentCity);
+        }
+        if (this.lastComparison) {
+            this.runComparison(this.lastComparison);
+        }
+    }
+
+    // Look up a UI string, falling back to English and then to the key itself
+    t(key, params = {}) {
+        const template = this.translations[key] ?? this.fallbackTranslations[key] ?? key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+    }
+
+    translatePage() {
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.getAttribute('data-i18n-placeholder'));
+        });
+        document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.getAttribute('data-i18n-aria-label')));
+        });
+        document.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.getAttribute('data-i18n-title'));
+        });
+    }
+
+    errorMessage(status) {
+        if (status === 404) return this.t('error.cityNotFound');
+        if (status === 429) return this.t('error.rateLimited');
+        return this.t('error.loadFailed');
+    }
+
+    apiQuery() {
+        return `units=${this.units}&lang=${this.language}`;
+    }
+
+    // Unit preferences
+    setUnits(units) {
+        if (!TEMPERATURE_LABELS[units] || units === this.units) {
+            return;
+        }
+
+        this.units = units;
+        this.saveUnits();
+        this.updateUnitToggle();
+        this.renderFavorites();
+        if (window.location.search) {
+            this.updateUrl(null);
+        }
+
+        if (this.currentCity) {
+            this.loadWeatherData(this.currentCity);
+        }
+        if (this.lastComparison) {
+            this.runComparison(this.lastComparison);
+        }
+    }
+
+    updateUnitToggle() {
+        document.querySelectorAll('#unitToggle [data-units]').forEach(button => {
+            const active = button.getAttribute('data-units') === this.units;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+    }
+
+    shortTemperature(value, units) {
+        return units.temperature === 'K' ? `${value} K` : `${value}°`;
+    }
+
+    // Favorite snapshots keep the units they were saved in (metric before units existed)
+    convertTemperature(value, from = 'metric') {
+        if (from === this.units) {
+            return value;
+        }
+
+        let celsius = value;
+        if (from === 'imperial') celsius = (value - 32) * 5 / 9;
+        if (from === 'standard') celsius = value - 273.15;
+
+        if (this.units === 'imperial') return Math.round(celsius * 9 / 5 + 32);
+        if (this.units === 'standard') return Math.round(celsius + 273.15);
+        return Math.round(celsius);
+    }
+
+    loadUnits() {
+        const stored = localStorage.getItem('weatherUnits');
+        return TEMPERATURE_LABELS[stored] ? stored : 'metric';
+    }
+
+    saveUnits() {
+        try {
+            localStorage.setItem('weatherUnits', this.units);
+        } catch (error) {
+            console.error('Failed to save unit preference:', error);
+        }
     }
 
     loadFavorites() {
@@ -481,6 +1951,9 @@ class WeatherApp {
         } catch (error) {
             console.error('Failed to save favorites:', error);
         }
+
+        // Keep the live stream subscribed to the saved list
+        this.updateLiveStream();
     }
 
     async loadDefaultCity() {
@@ -500,56 +1973,53 @@ class WeatherApp {
                         const { latitude, longitude } = position.coords;
                         console.log(`Got coordinates: ${latitude}, ${longitude}`);
                         
-                        // Get city name from coordinates
-                        const locationResponse = await fetch(`/api/location/reverse/${latitude}/${longitude}`);
+                        // Load weather straight from the coordinates
+                        const coordinates = { lat: latitude, lon: longitude };
+                        this.currentCity = coordinates;
+                        const location = await this.loadWeatherData(coordinates);
                         
-                        if (locationResponse.ok) {
-                            const locationData = await locationResponse.json();
-                            const cityName = locationData.state ? 
-                                `${locationData.name}, ${locationData.state}, ${locationData.country}` : 
-                                `${locationData.name}, ${locationData.country}`;
-                            
+                        if (location) {
+                            const cityName = this.formatLocationName(location);
                             console.log(`Found current location: ${cityName}`);
-                            await this.loadWeatherData(cityName);
-                            this.showLocationMessage(`📍 Showing weather for your current location: ${cityName}`);
+                            this.showLocationMessage(this.t('location.current', { city: cityName }));
                         } else {
-                            throw new Error('Unable to determine location name');
+                            throw new Error('Unable to load weather for current location');
                         }
                     } catch (error) {
                         console.error('Error getting location data:', error);
-                        await this.loadWeatherData('Toronto');
-                        this.showLocationMessage('📍 Unable to detect location, showing Toronto weather');
+                        await this.loadWeatherData(DEFAULT_CITY);
+                        this.showLocationMessage(this.t('location.fallbackUnknown', { city: DEFAULT_CITY }));
                     }
                 },
                 async (error) => {
                     console.error('Geolocation error:', error);
-                    let message = '📍 ';
+                    let key;
                     
                     switch(error.code) {
                         case error.PERMISSION_DENIED:
-                            message += 'Location access denied, showing Toronto weather';
+                            key = 'location.fallbackDenied';
                             break;
                         case error.POSITION_UNAVAILABLE:
-                            message += 'Location unavailable, showing Toronto weather';
+                            key = 'location.fallbackUnavailable';
                             break;
                         case error.TIMEOUT:
-                            message += 'Location request timed out, showing Toronto weather';
+                            key = 'location.fallbackTimeout';
                             break;
                         default:
-                            message += 'Unable to get location, showing Toronto weather';
+                            key = 'location.fallbackError';
                             break;
                     }
                     
-                    await this.loadWeatherData('Toronto');
-                    this.showLocationMessage(message);
+                    await this.loadWeatherData(DEFAULT_CITY);
+                    this.showLocationMessage(this.t(key, { city: DEFAULT_CITY }));
                 },
                 geolocationOptions
             );
         } else {
             // Geolocation not supported, load default city
             console.log('Geolocation not supported');
-            await this.loadWeatherData('Toronto');
-            this.showLocationMessage('📍 Geolocation not supported, showing Toronto weather');
+            await this.loadWeatherData(DEFAULT_CITY);
+            this.showLocationMessage(this.t('location.fallbackUnsupported', { city: DEFAULT_CITY }));
         }
     }
 
@@ -579,7 +2049,10 @@ class WeatherApp {
     }
 
     hideWeatherSections() {
+        document.getElementById('alertBanner').classList.add('hidden');
         document.getElementById('currentWeather').classList.add('hidden');
+        document.getElementById('hourlySection').classList.add('hidden');
+        document.getElementById('historySection').classList.add('hidden');
         document.getElementById('forecastSection').classList.add('hidden');
     }
 
@@ -611,7 +2084,7 @@ class WeatherApp {
         const locationBtn = document.getElementById('locationBtn');
         
         if (!navigator.geolocation) {
-            this.showLocationMessage('📍 Geolocation is not supported by this browser');
+            this.showLocationMessage(this.t('location.unsupported'));
             return;
         }
 
@@ -631,24 +2104,19 @@ class WeatherApp {
                     const { latitude, longitude } = position.coords;
                     console.log(`Manual location detection: ${latitude}, ${longitude}`);
                     
-                    // Get city name from coordinates
-                    const locationResponse = await fetch(`/api/location/reverse/${latitude}/${longitude}`);
+                    // Load weather straight from the coordinates
+                    const location = await this.navigateTo({ lat: latitude, lon: longitude });
                     
-                    if (locationResponse.ok) {
-                        const locationData = await locationResponse.json();
-                        const cityName = locationData.state ? 
-                            `${locationData.name}, ${locationData.state}, ${locationData.country}` : 
-                            `${locationData.name}, ${locationData.country}`;
-                        
+                    if (location) {
+                        const cityName = this.formatLocationName(location);
                         console.log(`Detected location: ${cityName}`);
-                        await this.loadWeatherData(cityName);
-                        this.showLocationMessage(`📍 Updated to your current location: ${cityName}`);
+                        this.showLocationMessage(this.t('location.updated', { city: cityName }));
                     } else {
-                        throw new Error('Unable to determine location name');
+                        throw new Error('Unable to load weather for current location');
                     }
                 } catch (error) {
                     console.error('Error getting location data:', error);
-                    this.showLocationMessage('📍 Unable to determine your location. Please try again.');
+                    this.showLocationMessage(this.t('location.failed'));
                 } finally {
                     locationBtn.classList.remove('loading');
                     locationBtn.disabled = false;
@@ -656,24 +2124,24 @@ class WeatherApp {
             },
             (error) => {
                 console.error('Geolocation error:', error);
-                let message = '📍 ';
+                let key;
                 
                 switch(error.code) {
                     case error.PERMISSION_DENIED:
-                        message += 'Location access denied. Please enable location permissions.';
+                        key = 'location.denied';
                         break;
                     case error.POSITION_UNAVAILABLE:
-                        message += 'Location information is unavailable.';
+                        key = 'location.unavailable';
                         break;
                     case error.TIMEOUT:
-                        message += 'Location request timed out. Please try again.';
+                        key = 'location.timeout';
                         break;
                     default:
-                        message += 'Unable to retrieve your location.';
+                        key = 'location.error';
                         break;
                 }
                 
-                this.showLocationMessage(message);
+                this.showLocationMessage(this.t(key));
                 locationBtn.classList.remove('loading');
                 locationBtn.disabled = false;
             },
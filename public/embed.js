@@ -0,0 +1,37 @@
+// Embeds the weather widget in place of this script tag:
+//
+//   <script src="https://weather.example.com/embed.js" data-city="Nairobi,KE"
+//           data-units="metric" data-lang="en" data-theme="dark" data-days="3" async></script>
+//
+// The embedding origin must be listed in the server's WIDGET_FRAME_ANCESTORS.
+(function () {
+    const script = document.currentScript;
+    if (!script) {
+        return;
+    }
+
+    const origin = new URL(script.src).origin;
+    const params = new URLSearchParams();
+    for (const name of ['city', 'units', 'lang', 'theme', 'days']) {
+        if (script.dataset[name]) {
+            params.set(name, script.dataset[name]);
+        }
+    }
+
+    const iframe = document.createElement('iframe');
+    iframe.src = `${origin}/widget?${params}`;
+    iframe.title = script.dataset.title || `Weather for ${script.dataset.city || 'your city'}`;
+    iframe.loading = 'lazy';
+    iframe.style.border = '0';
+    iframe.style.width = '100%';
+    iframe.style.maxWidth = script.dataset.width || '320px';
+    iframe.style.height = '240px';
+    script.parentNode.insertBefore(iframe, script.nextSibling);
+
+    // The widget reports its height whenever its content changes
+    window.addEventListener('message', (event) => {
+        if (event.origin === origin && event.source === iframe.contentWindow && event.data?.type === 'weather-widget:resize') {
+            iframe.style.height = `${Math.ceil(event.data.height)}px`;
+        }
+    });
+})();
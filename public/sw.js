@@ -0,0 +1,121 @@
+// Service worker: keeps the dashboard usable offline. The app shell is
+// precached, weather reads are served from the network and fall back to the
+// last successful response, and Font Awesome falls back to a local copy.
+const SHELL_CACHE = 'weather-shell-v1';
+const DATA_CACHE = 'weather-data-v1';
+const MAX_DATA_ENTRIES = 100;
+
+const FONT_AWESOME_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/';
+const FONT_AWESOME_LOCAL = '/vendor/fontawesome/';
+
+const SHELL_FILES = [
+    '/',
+    '/app.js',
+    '/styles.css',
+    '/manifest.webmanifest',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    '/locales/en.json',
+    '/locales/fr.json',
+    '/locales/es.json',
+    `${FONT_AWESOME_LOCAL}css/all.min.css`,
+    `${FONT_AWESOME_LOCAL}webfonts/fa-solid-900.woff2`,
+    `${FONT_AWESOME_LOCAL}webfonts/fa-regular-400.woff2`,
+    `${FONT_AWESOME_LOCAL}webfonts/fa-brands-400.woff2`
+];
+
+// Reads whose last response is worth showing offline
+const DATA_PATTERN = /^\/api\/(weather\/(current|forecast|hourly|alerts)\/|air-quality\/|languages$)/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (url.href.startsWith(FONT_AWESOME_CDN)) {
+        const local = FONT_AWESOME_LOCAL + url.href.slice(FONT_AWESOME_CDN.length);
+        event.respondWith(fetch(request).catch(() => caches.match(local)));
+        return;
+    }
+
+    // Other origins (weather icons), the live update stream and the embedded
+    // widget (which must not fall back to the dashboard page) go straight to the network
+    if (url.origin !== self.location.origin || url.pathname === '/api/stream' || url.pathname === '/widget') {
+        return;
+    }
+
+    if (DATA_PATTERN.test(url.pathname)) {
+        event.respondWith(networkFirstData(request));
+    } else if (!url.pathname.startsWith('/api/')) {
+        event.respondWith(networkFirstShell(request));
+    }
+});
+
+// The page always gets the latest shell when online; offline, navigations
+// (whatever their query string) get the cached index page
+async function networkFirstShell(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && SHELL_FILES.includes(new URL(request.url).pathname)) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request.mode === 'navigate' ? '/' : request, { ignoreSearch: true });
+        return cached || Response.error();
+    }
+}
+
+async function networkFirstData(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await storeData(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cache = await caches.open(DATA_CACHE);
+        return (await cache.match(request)) || Response.error();
+    }
+}
+
+// Stored copies carry X-Cached-At, which the page shows as the age of the data
+// when it is served offline. Oldest entries are dropped past the limit.
+async function storeData(request, response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Cached-At', new Date().toISOString());
+    const stamped = new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+
+    const cache = await caches.open(DATA_CACHE);
+    // Re-inserting moves the entry to the end of the key order
+    await cache.delete(request);
+    await cache.put(request, stamped);
+
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_DATA_ENTRIES)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,154 @@
+// Embeddable weather widget, served at /widget for iframes (see embed.js)
+
+// Matches the server's current-weather cache TTL
+const WIDGET_REFRESH_INTERVAL = 10 * 60 * 1000;
+const DEFAULT_FORECAST_DAYS = 3;
+const MAX_FORECAST_DAYS = 5;
+
+class WeatherWidget {
+    constructor() {
+        const params = new URLSearchParams(window.location.search);
+        const days = parseInt(params.get('days'), 10);
+
+        this.city = params.get('city')?.trim() || '';
+        this.units = params.get('units') || 'metric';
+        this.language = params.get('lang');
+        this.days = Number.isNaN(days) ? DEFAULT_FORECAST_DAYS : Math.max(0, Math.min(days, MAX_FORECAST_DAYS));
+        this.translations = {};
+        this.translationsLanguage = null;
+
+        document.getElementById('widget').classList.toggle('dark', params.get('theme') === 'dark');
+        this.init();
+    }
+
+    async init() {
+        this.watchHeight();
+
+        if (!this.city) {
+            await this.loadTranslations(this.language || 'en');
+            this.showMessage('widget.noCity');
+            return;
+        }
+
+        await this.load();
+        setInterval(() => this.load(), WIDGET_REFRESH_INTERVAL);
+    }
+
+    apiQuery() {
+        const params = new URLSearchParams({ units: this.units });
+        // Without ?lang= the server picks the language from the browser's Accept-Language
+        if (this.language) {
+            params.set('lang', this.language);
+        }
+        return params;
+    }
+
+    async load() {
+        const city = encodeURIComponent(this.city);
+        try {
+            const [currentResponse, forecastResponse] = await Promise.all([
+                fetch(`/api/weather/current/${city}?${this.apiQuery()}`),
+                this.days > 0 ? fetch(`/api/weather/forecast/${city}?${this.apiQuery()}`) : null
+            ]);
+            const current = await currentResponse.json();
+            const forecast = forecastResponse?.ok ? await forecastResponse.json() : null;
+
+            if (!currentResponse.ok) {
+                await this.loadTranslations(this.language || 'en');
+                this.showMessage(currentResponse.status === 404 ? 'error.cityNotFound' : 'error.loadFailed');
+                return;
+            }
+
+            this.language = current.language;
+            await this.loadTranslations(current.language);
+            this.display(current, forecast);
+        } catch (error) {
+            console.error('Widget error:', error);
+            this.showMessage('error.loadFailed');
+        }
+    }
+
+    async loadTranslations(language) {
+        if (this.translationsLanguage === language) {
+            return;
+        }
+        try {
+            const response = await fetch(`/locales/${language}.json`);
+            this.translations = response.ok ? await response.json() : {};
+        } catch (error) {
+            this.translations = {};
+        }
+        this.translationsLanguage = language;
+
+        document.documentElement.lang = language;
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'), element.textContent);
+        });
+    }
+
+    t(key, fallback = key) {
+        return this.translations[key] ?? fallback;
+    }
+
+    showMessage(key) {
+        const message = document.getElementById('widgetMessage');
+        message.textContent = this.t(key);
+        message.classList.remove('hidden');
+        document.getElementById('widgetContent').classList.add('hidden');
+    }
+
+    display(data, forecastData) {
+        const { location, current, units } = data;
+        const temperature = value => units.temperature === 'K' ? `${value} K` : `${value}°`;
+
+        document.getElementById('widgetLocation').textContent = [location.name, location.country].filter(Boolean).join(', ');
+        document.getElementById('widgetLink').href = `/?${new URLSearchParams({ city: location.id, units: units.system })}`;
+        document.getElementById('widgetTemperature').textContent = temperature(current.temperature);
+        document.getElementById('widgetDescription').textContent = current.description;
+        document.getElementById('widgetFeelsLike').textContent = temperature(current.feelsLike);
+        document.getElementById('widgetHumidity').textContent = `${current.humidity}%`;
+        document.getElementById('widgetWind').textContent = `${current.windSpeed} ${units.windSpeed}`;
+
+        const icon = document.getElementById('widgetIcon');
+        icon.src = `https://openweathermap.org/img/wn/${current.icon}@2x.png`;
+        icon.alt = current.description;
+
+        const days = forecastData ? forecastData.forecast.slice(0, this.days) : [];
+        const forecast = document.getElementById('widgetForecast');
+        forecast.replaceChildren(...days.map(day => {
+            const item = document.createElement('li');
+            const name = document.createElement('div');
+            // Forecast dates are the location's calendar days
+            name.textContent = new Date(day.date).toLocaleDateString(this.language, { weekday: 'short', timeZone: 'UTC' });
+            const image = document.createElement('img');
+            image.src = `https://openweathermap.org/img/wn/${day.icon}.png`;
+            image.alt = day.description;
+            image.title = day.description;
+            const range = document.createElement('div');
+            const low = document.createElement('span');
+            low.className = 'low';
+            low.textContent = temperature(day.temperature.min);
+            range.append(`${temperature(day.temperature.max)} `, low);
+            item.append(name, image, range);
+            return item;
+        }));
+
+        document.getElementById('widgetMessage').classList.add('hidden');
+        document.getElementById('widgetContent').classList.remove('hidden');
+    }
+
+    // Tells the embedding page (embed.js) how tall the widget is, so the iframe can fit it
+    watchHeight() {
+        if (window.parent === window) {
+            return;
+        }
+        const observer = new ResizeObserver(() => {
+            window.parent.postMessage({ type: 'weather-widget:resize', height: document.documentElement.scrollHeight }, '*');
+        });
+        observer.observe(document.body);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new WeatherWidget();
+});
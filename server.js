@@ -1,13 +1,44 @@
+const path = require('path');
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const helmet = require('helmet');
-const { RateLimiterMemory } = require('rate-limiter-flexible');
+const axios = require('axios');
 require('dotenv').config();
+const { createCache, setCacheHeaders } = require('./lib/cache');
+const { aggregateDaily } = require('./lib/forecast');
+const { airQualityWarning, deriveWarnings, governmentSeverity, sortAlerts, uvWarning } = require('./lib/alerts');
+const { assessReading, summarizeForecast } = require('./lib/air-quality');
+const { openDatabase } = require('./lib/database');
+const { createAuth } = require('./lib/auth');
+const { createUpstreamBudget } = require('./lib/budget');
+const { createAccountStore } = require('./lib/accounts');
+const { DEFAULT_PER_DAY, DEFAULT_PER_MINUTE, createApiKeyStore } = require('./lib/api-keys');
+const { CRITERIA, DEFAULT_CRITERION, DEFAULT_WEIGHTS, MAX_COMPARE_DAYS, currentMetrics, forecastMetrics, isCriterion, rankMetrics, scoreMetrics } = require('./lib/compare');
+const { comparisonCsv, forecastCalendar, forecastCsv } = require('./lib/export');
+const { INTERVALS, createHistoryRecorder, createHistoryStore } = require('./lib/history');
+const { instrumentAxios, logger, requestLogger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { createLocationRegistry, isLocationId, normalizeQuery, roundCoordinate } = require('./lib/locations');
+const { createProviderChain } = require('./lib/providers');
+const { createRateLimiter, parseTrustProxy, rateLimitMiddleware } = require('./lib/rate-limit');
+const { createUpdateBus, createUpdateHub } = require('./lib/realtime');
+const { DEFAULT_UNITS, UNIT_SYSTEMS, createConverter, isUnitSystem } = require('./lib/units');
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, isSupportedLanguage, negotiateLanguage } = require('./lib/i18n');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Every upstream call is logged with its timing, under the request it serves
+instrumentAxios(axios);
+
+// Prometheus metrics, labeled with SERVER_ID
+const metrics = createMetrics();
+app.use(metrics.httpMiddleware());
+
+// Behind HAProxy, req.ip is the client from X-Forwarded-For only when the
+// proxy is trusted (TRUST_PROXY); otherwise it is the proxy's own address
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: {
@@ -17,7 +48,8 @@ app.use(helmet({
             scriptSrc: ["'self'", "'unsafe-inline'"],
             imgSrc: ["'self'", "data:", "https://openweathermap.org"],
             fontSrc: ["'self'", "https://cdnjs.cloudflare.com"],
-            connectSrc: ["'self'"]
+            // The service worker fetches Font Awesome itself so it can fall back to the local copy
+            connectSrc: ["'self'", "https://cdnjs.cloudflare.com"]
         }
     }
 }));
@@ -29,37 +61,130 @@ app.use((req, res, next) => {
     next();
 });
 
+// Request IDs (X-Request-ID, from HAProxy or generated here) on every log line
+// and response, and one log line per request
+app.use(requestLogger());
+
 app.use(cors());
 app.use(express.json());
-app.use(express.static('public'));
 
-// Rate limiting
-const rateLimiter = new RateLimiterMemory({
-    keyGenerator: (req) => req.ip,
-    points: 100, // Number of requests
-    duration: 60, // Per 60 seconds
+// The widget embed script is loaded by pages on other origins
+app.use('/embed.js', (req, res, next) => {
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    next();
 });
 
-app.use(async (req, res, next) => {
-    try {
-        await rateLimiter.consume(req.ip);
-        next();
-    } catch (rejRes) {
-        res.status(429).json({
-            error: 'Too many requests',
-            message: 'Rate limit exceeded. Please try again later.'
+// Rate limiting (in-memory, or shared through Redis when REDIS_URL is set).
+// Each route group has its own per-IP policy; API requests made with an API
+// key count against the key's per-minute and per-day quotas instead.
+const rateLimiter = createRateLimiter();
+
+function rateLimitPolicy(req) {
+    if (req.path === '/health') {
+        return 'health';
+    }
+    if (req.path.startsWith('/api/cities/') || req.path.startsWith('/api/location/')) {
+        return 'search';
+    }
+    return req.path.startsWith('/api/') ? 'weather' : 'static';
+}
+
+function apiKeyLimits(apiKey) {
+    return [
+        { name: 'key-minute', points: apiKey.perMinute, duration: 60 },
+        { name: 'key-day', points: apiKey.perDay, duration: 24 * 60 * 60 }
+    ];
+}
+
+function rateLimits(req) {
+    const policy = rateLimitPolicy(req);
+    if (req.apiKey && (policy === 'search' || policy === 'weather')) {
+        return { key: `key:${req.apiKey.id}`, limits: apiKeyLimits(req.apiKey) };
+    }
+    return { key: req.ip, limits: [rateLimiter.policies[policy]] };
+}
+
+// Points a request costs: one per location for multi-location requests, so a
+// 5-city comparison or a live update stream for five locations counts as five
+// lookups. A list is charged by its length even when validation then rejects
+// the request for another reason; only empty and oversized lists, which are
+// rejected before anything is looked at, cost one.
+function requestCost(req) {
+    const entries = {
+        '/api/weather/compare': req.body?.cities,
+        '/api/weather/batch': req.body?.locations,
+        '/api/export/compare': req.query.cities,
+        '/api/stream': streamLocationIds(req)
+    }[req.path];
+    const count = Array.isArray(entries) ? entries.length : 1;
+    return count > 0 && count <= MAX_BATCH_LOCATIONS ? count : 1;
+}
+
+// Scripts send an issued key as "X-API-Key", or as ?api_key= where headers
+// can't be set (e.g. spreadsheet imports)
+app.use('/api', (req, res, next) => {
+    const key = req.get('X-API-Key') ?? req.query.api_key;
+    if (key === undefined) {
+        return next();
+    }
+
+    req.apiKey = apiKeys.findKey(key);
+    if (!req.apiKey) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Invalid or revoked API key'
         });
     }
+    next();
+});
+
+app.use(rateLimitMiddleware(rateLimiter, {
+    limitsOf: rateLimits,
+    costOf: requestCost,
+    onReject: (req, state) => metrics.rateLimitRejections.inc({ policy: state.name })
+}));
+
+app.use('/api', (req, res, next) => {
+    if (req.apiKey) {
+        apiKeys.recordUse(req.apiKey.id, requestCost(req));
+    }
+    next();
 });
 
-// OpenWeatherMap API configuration
-const WEATHER_API_KEY = process.env.OPENWEATHER_API_KEY;
-const WEATHER_BASE_URL = 'https://api.openweathermap.org/data/2.5';
-const GEO_BASE_URL = 'https://api.openweathermap.org/geo/1.0';
+app.use(express.static('public'));
+
+// Self-hosted Font Awesome; the service worker falls back to it when the CDN can't be reached
+const fontAwesomeDir = path.dirname(require.resolve('@fortawesome/fontawesome-free/package.json'));
+app.use('/vendor/fontawesome/css', express.static(path.join(fontAwesomeDir, 'css')));
+app.use('/vendor/fontawesome/webfonts', express.static(path.join(fontAwesomeDir, 'webfonts')));
+
+// Daily and per-minute budget for provider calls (counted in Redis when REDIS_URL is set)
+const budget = createUpstreamBudget();
+metrics.addGauge('upstream_budget_used', 'Weather provider calls counted in the current budget window', 'window', async () => {
+    const { minute, day } = await budget.status();
+    return { minute: minute.used, day: day.used };
+});
+
+// Weather providers in failover order (WEATHER_PROVIDERS, default openweathermap),
+// charging each HTTP request they make to the budget
+const provider = createProviderChain({ beforeRequest: budget.spend });
+
+// Upstream response cache (in-memory, or Redis when REDIS_URL is set)
+const cache = createCache();
+
+// Fan-out of live updates between web nodes (in-memory, or Redis pub/sub when REDIS_URL is set)
+const updateBus = createUpdateBus();
+
+// User accounts and recorded history in SQLite (DATABASE_PATH), with stateless signed access tokens
+const db = openDatabase();
+const accounts = createAccountStore(db);
+const history = createHistoryStore(db);
+const apiKeys = createApiKeyStore(db);
+const auth = createAuth();
 
 // Validation middleware
 const validateApiKey = (req, res, next) => {
-    if (!WEATHER_API_KEY) {
+    if (!provider.isConfigured()) {
         return res.status(500).json({
             error: 'Configuration Error',
             message: 'Weather API key not configured'
@@ -76,236 +201,1470 @@ const validateCity = (req, res, next) => {
             message: 'City name is required'
         });
     }
-    next();
-};
+    next();
+};
+
+const validateLocationId = (req, res, next) => {
+    const { locationId } = req.params;
+    if (!isLocationId(locationId)) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: 'Invalid location ID'
+        });
+    }
+    next();
+};
+
+// ?units=metric|imperial|standard, metric by default
+const validateUnits = (req, res, next) => {
+    const system = String(req.query.units || DEFAULT_UNITS).toLowerCase();
+    if (!isUnitSystem(system)) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: `Units must be one of: ${Object.keys(UNIT_SYSTEMS).join(', ')}`
+        });
+    }
+
+    req.units = createConverter(system);
+    next();
+};
+
+// ?lang= overrides the Accept-Language header; unsupported header values fall back to English
+const resolveLanguage = (req, res, next) => {
+    if (req.query.lang !== undefined) {
+        const language = String(req.query.lang).toLowerCase();
+        if (!isSupportedLanguage(language)) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                message: `Language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`
+            });
+        }
+        req.language = language;
+    } else {
+        req.language = negotiateLanguage(req);
+    }
+
+    res.setHeader('Content-Language', req.language);
+    res.vary('Accept-Language');
+    next();
+};
+
+// Comparison options, from the JSON body or (for GETs) the query string:
+// days of forecast to compare (0, the default, compares current conditions),
+// rankBy and, in bodies, the weights of the "best" score
+const validateComparisonOptions = (req, res, next) => {
+    const source = (req.method === 'GET' ? req.query : req.body) || {};
+    const days = source.days === undefined ? 0 : Number(source.days);
+    const rankBy = source.rankBy === undefined ? DEFAULT_CRITERION : String(source.rankBy);
+    const weights = { ...DEFAULT_WEIGHTS };
+
+    if (!Number.isInteger(days) || days < 0 || days > MAX_COMPARE_DAYS) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: `Days must be a whole number from 0 to ${MAX_COMPARE_DAYS}`
+        });
+    }
+
+    if (!isCriterion(rankBy)) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: `rankBy must be one of: ${Object.keys(CRITERIA).join(', ')}`
+        });
+    }
+
+    if (source.weights !== undefined) {
+        const valid = source.weights && typeof source.weights === 'object' &&
+            Object.keys(source.weights).every(key => key in DEFAULT_WEIGHTS && typeof source.weights[key] === 'number' && source.weights[key] >= 0);
+        Object.assign(weights, valid ? source.weights : {});
+        if (!valid || Object.values(weights).every(weight => weight === 0)) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                message: `Weights must be non-negative numbers for ${Object.keys(DEFAULT_WEIGHTS).join(', ')}, not all zero`
+            });
+        }
+    }
+
+    req.comparisonOptions = { days, rankBy, weights };
+    next();
+};
+
+// ?format= for export routes, one of the given formats (the first by default)
+const validateExportFormat = (formats) => (req, res, next) => {
+    const format = String(req.query.format || formats[0]).toLowerCase();
+    if (!formats.includes(format)) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: `Format must be one of: ${formats.join(', ')}`
+        });
+    }
+
+    req.exportFormat = format;
+    next();
+};
+
+// Returns a validation message, or null when the coordinates are usable
+function checkCoordinates(latitude, longitude) {
+    if (isNaN(latitude) || isNaN(longitude)) {
+        return 'Invalid coordinates provided';
+    }
+
+    if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+        return 'Coordinates out of valid range';
+    }
+
+    return null;
+}
+
+const validateCoordinates = (req, res, next) => {
+    const latitude = parseFloat(req.params.lat);
+    const longitude = parseFloat(req.params.lon);
+
+    const problem = checkCoordinates(latitude, longitude);
+    if (problem) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: problem
+        });
+    }
+
+    req.coordinates = { lat: latitude, lon: longitude };
+    next();
+};
+
+const DEFAULT_HISTORY_DAYS = 7;
+const MAX_HISTORY_DAYS = { hour: 31, day: 366 };
+
+// ?from=&to= (ISO dates or timestamps, default the last week) and
+// ?interval=hour|day (default hour up to two days, day beyond)
+const validateHistoryRange = (req, res, next) => {
+    const now = Date.now();
+    const to = req.query.to ? Date.parse(req.query.to) : now;
+    const from = req.query.from ? Date.parse(req.query.from) : to - DEFAULT_HISTORY_DAYS * INTERVALS.day * 1000;
+
+    if (isNaN(from) || isNaN(to) || from >= to) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: 'from and to must be valid dates, with from before to'
+        });
+    }
+
+    const days = (to - from) / (INTERVALS.day * 1000);
+    const interval = req.query.interval || (days <= 2 ? 'hour' : 'day');
+    if (!Object.prototype.hasOwnProperty.call(MAX_HISTORY_DAYS, interval)) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: `Interval must be one of: ${Object.keys(MAX_HISTORY_DAYS).join(', ')}`
+        });
+    }
+
+    if (days > MAX_HISTORY_DAYS[interval]) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: `Ranges are limited to ${MAX_HISTORY_DAYS[interval]} days at ${interval} interval`
+        });
+    }
+
+    req.historyRange = { from: Math.floor(from / 1000), to: Math.ceil(to / 1000), interval };
+    next();
+};
+
+const MAX_STREAM_LOCATIONS = 50;
+
+// ?locations=<id>,<id>,... for the live update stream
+function streamLocationIds(req) {
+    return [...new Set(String(req.query.locations || '').split(',').filter(Boolean))];
+}
+
+const validateStreamLocations = (req, res, next) => {
+    const ids = streamLocationIds(req);
+    if (ids.length === 0 || ids.length > MAX_STREAM_LOCATIONS) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: `Between 1 and ${MAX_STREAM_LOCATIONS} location IDs are required`
+        });
+    }
+
+    if (!ids.every(isLocationId)) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: 'Invalid location ID'
+        });
+    }
+
+    req.streamLocations = ids;
+    next();
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const validateCredentials = (req, res, next) => {
+    const { email, password } = req.body || {};
+
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: 'A valid email address is required'
+        });
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+        });
+    }
+
+    req.credentials = { email: email.trim().toLowerCase(), password };
+    next();
+};
+
+// Expects "Authorization: Bearer <token>" and sets req.user
+const requireAuth = (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const claims = scheme === 'Bearer' ? auth.verifyToken(token) : null;
+    const user = claims && accounts.findUser(claims.sub);
+
+    if (!user) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'A valid access token is required'
+        });
+    }
+
+    req.user = user;
+    next();
+};
+
+// Expects "Authorization: Bearer <ADMIN_TOKEN>"; admin routes are disabled
+// when ADMIN_TOKEN is not set
+const requireAdmin = (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !auth.verifyAdminToken(token)) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'A valid admin token is required'
+        });
+    }
+    next();
+};
+
+const MAX_KEY_NAME_LENGTH = 100;
+
+const validateKeyRequest = (req, res, next) => {
+    const { name, perMinute = DEFAULT_PER_MINUTE, perDay = DEFAULT_PER_DAY } = req.body || {};
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_KEY_NAME_LENGTH) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: `Name is required (at most ${MAX_KEY_NAME_LENGTH} characters)`
+        });
+    }
+
+    if (![perMinute, perDay].every(value => Number.isInteger(value) && value > 0)) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: 'perMinute and perDay must be positive integers'
+        });
+    }
+
+    req.keyRequest = { name: name.trim(), perMinute, perDay };
+    next();
+};
+
+const validateKeyId = (req, res, next) => {
+    const keyId = Number(req.params.keyId);
+    if (!Number.isInteger(keyId) || keyId <= 0) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: 'Invalid API key ID'
+        });
+    }
+
+    req.keyId = keyId;
+    next();
+};
+
+const validateFavoriteId = (req, res, next) => {
+    const favoriteId = Number(req.params.favoriteId);
+    if (!Number.isInteger(favoriteId) || favoriteId <= 0) {
+        return res.status(400).json({
+            error: 'Validation Error',
+            message: 'Invalid favorite ID'
+        });
+    }
+
+    req.favoriteId = favoriteId;
+    next();
+};
+
+// Place stub for coordinate lookups; named once the weather data arrives
+function coordinatePlace(latitude, longitude) {
+    return { lat: roundCoordinate(latitude), lon: roundCoordinate(longitude) };
+}
+
+// HTTP status and { error, message } body for a failed weather lookup; also
+// used for the per-city errors of multi-location requests
+function describeApiError(error) {
+    // Lookups that resolved to nothing (e.g. unknown city or location ID)
+    if (error.status === 404) {
+        return { status: 404, body: { error: 'City Not Found', message: error.message } };
+    }
+
+    // Upstream budget spent, with nothing cached to fall back on
+    if (error.status === 503) {
+        return { status: 503, body: { error: 'Service Unavailable', message: error.message } };
+    }
+
+    if (error.response) {
+        const status = error.response.status;
+        const message = error.response.data?.message || 'API request failed';
+
+        if (status === 404) {
+            return { status: 404, body: { error: 'City Not Found', message: 'The specified city could not be found' } };
+        } else if (status === 401) {
+            return { status: 500, body: { error: 'API Configuration Error', message: 'Invalid API key configuration' } };
+        } else {
+            return { status, body: { error: 'Weather Service Error', message } };
+        }
+    }
+
+    return { status: 500, body: { error: 'Service Unavailable', message: 'Weather service is temporarily unavailable' } };
+}
+
+// Helper function to handle API errors
+const handleApiError = (error, res, context) => {
+    logger.error(`Error in ${context}`, { error: error.message });
+    const { status, body } = describeApiError(error);
+    res.status(status).json(body);
+};
+
+const ACCOUNT_ERRORS = {
+    400: 'Validation Error',
+    401: 'Unauthorized',
+    404: 'Not Found',
+    409: 'Conflict'
+};
+
+// Account and favorites routes: client errors carry an HTTP status
+const handleAccountError = (error, res, context) => {
+    if (ACCOUNT_ERRORS[error.status]) {
+        return res.status(error.status).json({
+            error: ACCOUNT_ERRORS[error.status],
+            message: error.message
+        });
+    }
+
+    logger.error(`Error in ${context}`, { error: error.message });
+    res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred'
+    });
+};
+
+// Call a weather provider method through the response cache. The providers
+// charge the upstream budget for each request they make; while the budget runs
+// low, stale cached data is served instead of calling out.
+async function fetchCached(kind, method, ...args) {
+    const key = `${kind}:${provider.name}:${method}:${args.join(',')}`;
+    const result = await cache.wrap(key, cache.ttls[kind], () => (
+        metrics.timeUpstream(method, () => provider[method](...args))
+    ), { preferStale: budget.isLow() });
+
+    const outcome = result.coalesced ? 'coalesced' : result.stale ? 'stale' : result.hit ? 'hit' : 'miss';
+    metrics.cacheLookups.inc({ kind, result: outcome });
+    return result;
+}
+
+// Resolve city names and location IDs to canonical places
+const locations = createLocationRegistry({
+    cache,
+    geocode: async (query) => {
+        const { value } = await fetchCached('geocode', 'geocode', query, 1);
+        return value;
+    },
+    reverseGeocode: async (lat, lon) => {
+        const { value } = await fetchCached('geocode', 'reverseGeocode', lat, lon, 1);
+        return value;
+    }
+});
+
+// Routes
+
+// Origins allowed to frame the widget, as space-separated CSP sources (e.g.
+// "https://intranet.example.com https://*.corp.example.com"). Everything
+// else keeps helmet's same-origin framing policy.
+const WIDGET_FRAME_ANCESTORS = (process.env.WIDGET_FRAME_ANCESTORS || '').split(/\s+/).filter(Boolean);
+
+const widgetSecurity = [
+    helmet.contentSecurityPolicy({
+        directives: {
+            defaultSrc: ["'self'"],
+            styleSrc: ["'self'"],
+            scriptSrc: ["'self'"],
+            imgSrc: ["'self'", "https://openweathermap.org"],
+            connectSrc: ["'self'"],
+            frameAncestors: ["'self'", ...WIDGET_FRAME_ANCESTORS]
+        }
+    }),
+    // frame-ancestors replaces X-Frame-Options, which can't list several origins
+    (req, res, next) => {
+        res.removeHeader('X-Frame-Options');
+        next();
+    }
+];
+
+// Compact current conditions and short forecast for one city, for iframes:
+// /widget?city=Nairobi,KE&units=metric&lang=en&theme=dark&days=3
+app.get('/widget', widgetSecurity, (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'widget.html'));
+});
+
+// Health check. A spent upstream budget doesn't make the server unhealthy:
+// it still answers from cache.
+app.get('/health', async (req, res) => {
+    res.json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        version: '1.0.0',
+        cache: cache.store.name,
+        rateLimit: rateLimiter.name,
+        budget: await budget.status(),
+        providers: provider.health()
+    });
+});
+
+// Prometheus scrape endpoint. With METRICS_TOKEN set it expects
+// "Authorization: Bearer <METRICS_TOKEN>".
+app.get('/metrics', async (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'A valid metrics token is required'
+        });
+    }
+
+    try {
+        res.type(metrics.registry.contentType).send(await metrics.registry.metrics());
+    } catch (error) {
+        logger.error('Error collecting metrics', { error: error.message });
+        res.status(500).json({
+            error: 'Internal Server Error',
+            message: 'An unexpected error occurred'
+        });
+    }
+});
+
+// Location block shared by all weather responses
+function formatLocation(place) {
+    return {
+        id: place.id,
+        name: place.name,
+        country: place.country,
+        state: place.state,
+        coordinates: [place.lat, place.lon]
+    };
+}
+
+// UV index and government alerts. Not every provider chain can serve them,
+// so callers get null instead of an error.
+async function fetchAlertData(place, language) {
+    try {
+        const { value } = await fetchCached('alerts', 'alerts', place.lat, place.lon, language);
+        return value;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function fetchAirQuality(place) {
+    try {
+        const { value } = await fetchCached('airQuality', 'airQuality', place.lat, place.lon);
+        return value;
+    } catch (error) {
+        return null;
+    }
+}
+
+function formatCurrent(data, units, uvIndex) {
+    return {
+        temperature: units.temperature(data.temperature),
+        feelsLike: units.temperature(data.feelsLike),
+        humidity: data.humidity,
+        pressure: data.pressure,
+        visibility: units.visibility(data.visibility),
+        uvIndex: uvIndex ?? null,
+        description: data.description,
+        icon: data.icon,
+        windSpeed: units.windSpeed(data.windSpeed),
+        windDirection: data.windDirection,
+        cloudiness: data.cloudiness
+    };
+}
+
+async function sendCurrentWeather(req, res, place) {
+    const { units } = req;
+    const [weather, alertData] = await Promise.all([
+        fetchCached('current', 'current', place.lat, place.lon, req.language),
+        fetchAlertData(place, req.language)
+    ]);
+
+    const data = weather.value;
+    if (!place.id) {
+        place = await locations.registerCoordinates(place.lat, place.lon, data.place.name, data.place.country);
+    }
+
+    setCacheHeaders(res, weather);
+    res.json({
+        location: formatLocation(place),
+        current: formatCurrent(data, units, alertData?.uvIndex),
+        units: units.labels,
+        language: req.language,
+        source: data.source,
+        timestamp: new Date().toISOString()
+    });
+}
+
+function formatForecastDay(day, units, language) {
+    return {
+        date: day.date,
+        // Noon UTC keeps the weekday stable whatever the server's timezone
+        dayName: new Date(`${day.date}T12:00:00Z`).toLocaleDateString(language, { weekday: 'long', timeZone: 'UTC' }),
+        temperature: {
+            min: units.temperature(day.temperatureMin),
+            max: units.temperature(day.temperatureMax)
+        },
+        description: day.description,
+        icon: day.icon,
+        humidity: day.humidity,
+        windSpeed: units.windSpeed(day.windSpeed),
+        precipitation: units.precipitation(day.rain + day.snow),
+        rain: units.precipitation(day.rain),
+        snow: units.precipitation(day.snow),
+        precipitationProbability: Math.round(day.pop * 100)
+    };
+}
+
+// The forecast response body, with the cache result for the response headers
+async function buildForecast(req, place) {
+    const { units } = req;
+    const forecast = await fetchCached('forecast', 'forecast', place.lat, place.lon, req.language);
+
+    const forecastData = forecast.value.slots;
+    if (!place.id) {
+        const { name, country } = forecast.value.place;
+        place = await locations.registerCoordinates(place.lat, place.lon, name, country);
+    }
+
+    // Daily summaries in the location's own timezone
+    const dailyForecasts = aggregateDaily(forecastData, forecast.value.timezone)
+        .map(day => formatForecastDay(day, units, req.language));
+
+    return {
+        cached: forecast,
+        body: {
+            location: formatLocation(place),
+            forecast: dailyForecasts,
+            timezone: forecast.value.timezone,
+            units: units.labels,
+            language: req.language,
+            source: forecast.value.source,
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
+async function sendForecast(req, res, place) {
+    const { cached, body } = await buildForecast(req, place);
+    setCacheHeaders(res, cached);
+    res.json(body);
+}
+
+async function sendHourly(req, res, place) {
+    const { units } = req;
+    const forecast = await fetchCached('forecast', 'forecast', place.lat, place.lon, req.language);
+
+    const { timezone, slots } = forecast.value;
+    if (!place.id) {
+        const { name, country } = forecast.value.place;
+        place = await locations.registerCoordinates(place.lat, place.lon, name, country);
+    }
+
+    setCacheHeaders(res, forecast);
+    res.json({
+        location: formatLocation(place),
+        timezone,
+        hourly: slots.map(slot => ({
+            time: new Date(slot.time * 1000).toISOString(),
+            // Wall-clock time at the location, without an offset suffix
+            localTime: new Date((slot.time + timezone) * 1000).toISOString().slice(0, 16),
+            temperature: units.temperature(slot.temperature),
+            feelsLike: units.temperature(slot.feelsLike),
+            humidity: slot.humidity,
+            pressure: slot.pressure,
+            description: slot.description,
+            icon: slot.icon,
+            windSpeed: units.windSpeed(slot.windSpeed),
+            windDirection: slot.windDirection,
+            cloudiness: slot.cloudiness,
+            precipitation: units.precipitation((slot.rain || 0) + (slot.snow || 0)),
+            rain: units.precipitation(slot.rain || 0),
+            snow: units.precipitation(slot.snow || 0),
+            precipitationProbability: Math.round((slot.pop || 0) * 100)
+        })),
+        units: units.labels,
+        language: req.language,
+        source: forecast.value.source,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Peak values of derived warnings are converted like the field they track
+const ALERT_PEAK_CONVERSIONS = {
+    heat: 'temperature',
+    frost: 'temperature',
+    wind: 'windSpeed',
+    rain: 'precipitation'
+};
+
+function formatAlert(alert, units) {
+    const conversion = ALERT_PEAK_CONVERSIONS[alert.type];
+    const formatted = {
+        ...alert,
+        start: alert.start ? new Date(alert.start * 1000).toISOString() : null,
+        end: alert.end ? new Date(alert.end * 1000).toISOString() : null
+    };
+
+    if (alert.peak !== undefined) {
+        formatted.peak = conversion ? units[conversion](alert.peak) : alert.peak;
+    }
+    return formatted;
+}
+
+// Government alerts and derived warnings for a place, most severe first, in
+// metric units with epoch-second times
+async function collectAlerts(place, language) {
+    const [forecast, alertData, airQuality] = await Promise.all([
+        fetchCached('forecast', 'forecast', place.lat, place.lon, language),
+        fetchAlertData(place, language),
+        fetchAirQuality(place)
+    ]);
+
+    const government = (alertData?.alerts || []).map(alert => ({
+        type: 'government',
+        severity: governmentSeverity(alert.event),
+        source: alertData.source,
+        start: alert.start,
+        end: alert.end,
+        event: alert.event,
+        sender: alert.sender,
+        description: alert.description
+    }));
+
+    const uv = alertData && uvWarning(alertData.uvIndex, alertData.observedAt);
+    const air = airQuality && airQualityWarning(assessReading(airQuality.current));
+    const derived = [
+        ...(uv ? [{ ...uv, source: alertData.source }] : []),
+        ...(air ? [{ ...air, source: airQuality.source }] : []),
+        ...deriveWarnings(forecast.value.slots).map(warning => ({ ...warning, source: 'forecast' }))
+    ];
+
+    return {
+        forecast,
+        alerts: sortAlerts([...government, ...derived]),
+        uvIndex: alertData?.uvIndex ?? null
+    };
+}
+
+async function sendAlerts(req, res, place) {
+    const { units } = req;
+    const { forecast, alerts, uvIndex } = await collectAlerts(place, req.language);
+
+    if (!place.id) {
+        const { name, country } = forecast.value.place;
+        place = await locations.registerCoordinates(place.lat, place.lon, name, country);
+    }
+
+    setCacheHeaders(res, forecast);
+    res.json({
+        location: formatLocation(place),
+        alerts: alerts.map(alert => formatAlert(alert, units)),
+        uvIndex,
+        units: units.labels,
+        language: req.language,
+        timestamp: new Date().toISOString()
+    });
+}
+
+function formatAirQuality(reading) {
+    return { ...reading, time: new Date(reading.time * 1000).toISOString() };
+}
+
+async function sendAirQuality(req, res, place) {
+    const result = await fetchCached('airQuality', 'airQuality', place.lat, place.lon);
+
+    // Air quality data carries no place name, so coordinate lookups borrow
+    // one from reverse geocoding when a provider offers it
+    if (!place.id) {
+        const nearest = await fetchCached('geocode', 'reverseGeocode', place.lat, place.lon, 1)
+            .then(({ value }) => value[0], () => null);
+        place = await locations.registerCoordinates(place.lat, place.lon, nearest?.name, nearest?.country);
+    }
+
+    setCacheHeaders(res, result);
+    res.json({
+        location: formatLocation(place),
+        airQuality: formatAirQuality(assessReading(result.value.current)),
+        forecast: summarizeForecast(result.value.forecast).map(formatAirQuality),
+        units: { concentration: 'µg/m³' },
+        source: result.value.source,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Get current weather for a city name or location ID
+app.get('/api/weather/current/:city', validateApiKey, validateCity, validateUnits, resolveLanguage, async (req, res) => {
+    try {
+        const place = await locations.resolve(req.params.city);
+        await sendCurrentWeather(req, res, place);
+    } catch (error) {
+        handleApiError(error, res, 'current weather');
+    }
+});
+
+// Get current weather for a canonical location ID
+app.get('/api/weather/current/by-id/:locationId', validateApiKey, validateLocationId, validateUnits, resolveLanguage, async (req, res) => {
+    try {
+        const place = await locations.resolveId(req.params.locationId);
+        await sendCurrentWeather(req, res, place);
+    } catch (error) {
+        handleApiError(error, res, 'current weather');
+    }
+});
+
+// Get current weather for coordinates, without geocoding
+app.get('/api/weather/current/coords/:lat/:lon', validateApiKey, validateCoordinates, validateUnits, resolveLanguage, async (req, res) => {
+    try {
+        const { lat, lon } = req.coordinates;
+        await sendCurrentWeather(req, res, coordinatePlace(lat, lon));
+    } catch (error) {
+        handleApiError(error, res, 'current weather');
+    }
+});
+
+// Get 5-day forecast for a city name or location ID
+app.get('/api/weather/forecast/:city', validateApiKey, validateCity, validateUnits, resolveLanguage, async (req, res) => {
+    try {
+        const place = await locations.resolve(req.params.city);
+        await sendForecast(req, res, place);
+    } catch (error) {
+        handleApiError(error, res, 'forecast');
+    }
+});
+
+// Get 5-day forecast for a canonical location ID
+app.get('/api/weather/forecast/by-id/:locationId', validateApiKey, validateLocationId, validateUnits, resolveLanguage, async (req, res) => {
+    try {
+        const place = await locations.resolveId(req.params.locationId);
+        await sendForecast(req, res, place);
+    } catch (error) {
+        handleApiError(error, res, 'forecast');
+    }
+});
+
+// Get 5-day forecast for coordinates, without geocoding
+app.get('/api/weather/forecast/coords/:lat/:lon', validateApiKey, validateCoordinates, validateUnits, resolveLanguage, async (req, res) => {
+    try {
+        const { lat, lon } = req.coordinates;
+        await sendForecast(req, res, coordinatePlace(lat, lon));
+    } catch (error) {
+        handleApiError(error, res, 'forecast');
+    }
+});
+
+// Get the 3-hourly forecast timeline for a city name or location ID
+app.get('/api/weather/hourly/:city', validateApiKey, validateCity, validateUnits, resolveLanguage, async (req, res) => {
+    try {
+        const place = await locations.resolve(req.params.city);
+        await sendHourly(req, res, place);
+    } catch (error) {
+        handleApiError(error, res, 'hourly forecast');
+    }
+});
+
+// Get the 3-hourly forecast timeline for a canonical location ID
+app.get('/api/weather/hourly/by-id/:locationId', validateApiKey, validateLocationId, validateUnits, resolveLanguage, async (req, res) => {
+    try {
+        const place = await locations.resolveId(req.params.locationId);
+        await sendHourly(req, res, place);
+    } catch (error) {
+        handleApiError(error, res, 'hourly forecast');
+    }
+});
+
+// Get the 3-hourly forecast timeline for coordinates, without geocoding
+app.get('/api/weather/hourly/coords/:lat/:lon', validateApiKey, validateCoordinates, validateUnits, resolveLanguage, async (req, res) => {
+    try {
+        const { lat, lon } = req.coordinates;
+        await sendHourly(req, res, coordinatePlace(lat, lon));
+    } catch (error) {
+        handleApiError(error, res, 'hourly forecast');
+    }
+});
+
+// Get alerts and severe-condition warnings for a city name or location ID
+app.get('/api/weather/alerts/:city', validateApiKey, validateCity, validateUnits, resolveLanguage, async (req, res) => {
+    try {
+        const place = await locations.resolve(req.params.city);
+        await sendAlerts(req, res, place);
+    } catch (error) {
+        handleApiError(error, res, 'alerts');
+    }
+});
+
+// Get alerts and severe-condition warnings for a canonical location ID
+app.get('/api/weather/alerts/by-id/:locationId', validateApiKey, validateLocationId, validateUnits, resolveLanguage, async (req, res) => {
+    try {
+        const place = await locations.resolveId(req.params.locationId);
+        await sendAlerts(req, res, place);
+    } catch (error) {
+        handleApiError(error, res, 'alerts');
+    }
+});
+
+// Get alerts and severe-condition warnings for coordinates, without geocoding
+app.get('/api/weather/alerts/coords/:lat/:lon', validateApiKey, validateCoordinates, validateUnits, resolveLanguage, async (req, res) => {
+    try {
+        const { lat, lon } = req.coordinates;
+        await sendAlerts(req, res, coordinatePlace(lat, lon));
+    } catch (error) {
+        handleApiError(error, res, 'alerts');
+    }
+});
+
+// Get air quality for a city name or location ID
+app.get('/api/air-quality/:city', validateApiKey, validateCity, async (req, res) => {
+    try {
+        const place = await locations.resolve(req.params.city);
+        await sendAirQuality(req, res, place);
+    } catch (error) {
+        handleApiError(error, res, 'air quality');
+    }
+});
+
+// Get air quality for a canonical location ID
+app.get('/api/air-quality/by-id/:locationId', validateApiKey, validateLocationId, async (req, res) => {
+    try {
+        const place = await locations.resolveId(req.params.locationId);
+        await sendAirQuality(req, res, place);
+    } catch (error) {
+        handleApiError(error, res, 'air quality');
+    }
+});
+
+// Get air quality for coordinates, without geocoding
+app.get('/api/air-quality/coords/:lat/:lon', validateApiKey, validateCoordinates, async (req, res) => {
+    try {
+        const { lat, lon } = req.coordinates;
+        await sendAirQuality(req, res, coordinatePlace(lat, lon));
+    } catch (error) {
+        handleApiError(error, res, 'air quality');
+    }
+});
+
+const MAX_BATCH_LOCATIONS = 50;
+const BATCH_CONCURRENCY = 5;
+
+// Recorded history for favorites of every user plus HISTORY_LOCATIONS
+// (city names or location IDs separated by semicolons, e.g. "Toronto;Paris, FR")
+async function historyLocations() {
+    const configured = (process.env.HISTORY_LOCATIONS || '').split(';').map(entry => entry.trim()).filter(Boolean);
+    const resolved = await Promise.all(configured.map(async (query) => {
+        try {
+            return (await locations.resolve(query)).id;
+        } catch (error) {
+            logger.error('History location could not be resolved', { query, error: error.message });
+            return null;
+        }
+    }));
+
+    return [...new Set([...resolved.filter(Boolean), ...accounts.listFavoriteLocationIds()])];
+}
+
+async function fetchObservation(locationId) {
+    const place = await locations.resolveId(locationId);
+    const [{ value: current }, forecast] = await Promise.all([
+        fetchCached('current', 'current', place.lat, place.lon, DEFAULT_LANGUAGE),
+        // Only for the location's UTC offset, which the daily aggregates use
+        fetchCached('forecast', 'forecast', place.lat, place.lon, DEFAULT_LANGUAGE).catch(() => null)
+    ]);
+
+    return {
+        ...current,
+        observedAt: current.observedAt || Math.floor(Date.now() / 1000),
+        utcOffset: forecast?.value.timezone || 0
+    };
+}
+
+const historyRecorder = createHistoryRecorder({
+    store: history,
+    listLocations: historyLocations,
+    fetchObservation
+});
+
+function formatHistoryBucket(bucket, interval, units) {
+    const range = (values, convert) => ({
+        min: values.min === null ? null : convert(values.min),
+        max: values.max === null ? null : convert(values.max),
+        avg: values.avg === null ? null : convert(values.avg)
+    });
+    const start = new Date(bucket.start * 1000).toISOString();
+
+    return {
+        // Days are dates at the location; hours are UTC timestamps
+        ...(interval === 'day' ? { date: start.slice(0, 10) } : { time: start }),
+        samples: bucket.samples,
+        temperature: range(bucket.temperature, units.temperature),
+        feelsLike: range(bucket.feelsLike, units.temperature),
+        humidity: range(bucket.humidity, Math.round),
+        pressure: range(bucket.pressure, Math.round),
+        windSpeed: range(bucket.windSpeed, units.windSpeed)
+    };
+}
+
+function sendHistory(req, res, place) {
+    const { units, historyRange } = req;
+    const { from, to, interval } = historyRange;
+
+    res.json({
+        location: formatLocation(place),
+        // Untracked locations have no new observations, only what was recorded before
+        tracked: historyRecorder.isTracked(place.id),
+        interval,
+        from: new Date(from * 1000).toISOString(),
+        to: new Date(to * 1000).toISOString(),
+        history: history.aggregate(place.id, historyRange).map(bucket => formatHistoryBucket(bucket, interval, units)),
+        units: units.labels,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Get recorded history for a city name or location ID
+app.get('/api/weather/history/:city', validateApiKey, validateCity, validateUnits, validateHistoryRange, async (req, res) => {
+    try {
+        const place = await locations.resolve(req.params.city);
+        sendHistory(req, res, place);
+    } catch (error) {
+        handleApiError(error, res, 'weather history');
+    }
+});
+
+// Get recorded history for a canonical location ID
+app.get('/api/weather/history/by-id/:locationId', validateApiKey, validateLocationId, validateUnits, validateHistoryRange, async (req, res) => {
+    try {
+        const place = await locations.resolveId(req.params.locationId);
+        sendHistory(req, res, place);
+    } catch (error) {
+        handleApiError(error, res, 'weather history');
+    }
+});
+
+// Multi-location requests take city names, location IDs or { lat, lon } objects
+function checkLocationEntries(entries) {
+    for (const entry of entries) {
+        if (entry && typeof entry === 'object') {
+            const problem = checkCoordinates(parseFloat(entry.lat), parseFloat(entry.lon));
+            if (problem) {
+                return problem;
+            }
+        } else if (typeof entry !== 'string' || !entry.trim()) {
+            return 'Each location must be a city name, location ID or { lat, lon } object';
+        }
+    }
+    return null;
+}
+
+// Place for one entry of a multi-location request; coordinates get their ID
+// once the weather names them
+async function resolveEntry(entry) {
+    return entry && typeof entry === 'object'
+        ? coordinatePlace(parseFloat(entry.lat), parseFloat(entry.lon))
+        : locations.resolve(entry);
+}
+
+async function fetchPlaceCurrent(place, language) {
+    const weather = await fetchCached('current', 'current', place.lat, place.lon, language);
+    if (!place.id) {
+        const { name, country } = weather.value.place;
+        place = await locations.registerCoordinates(place.lat, place.lon, name, country);
+    }
+    return { place, weather };
+}
+
+// Current conditions for one entry of a multi-location request
+async function fetchCurrentEntry(entry, language) {
+    return fetchPlaceCurrent(await resolveEntry(entry), language);
+}
+
+// Like Promise.all over items.map(fn), with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+const MAX_COMPARE_CITIES = 50;
+
+function checkComparisonCities(cities) {
+    if (!Array.isArray(cities) || cities.length === 0) {
+        return 'Cities array is required';
+    }
+    if (cities.length > MAX_COMPARE_CITIES) {
+        return `Maximum ${MAX_COMPARE_CITIES} cities allowed for comparison`;
+    }
+    return checkLocationEntries(cities);
+}
+
+function formatComparisonSummary(metrics, units) {
+    const convert = (value, fn) => value === null ? null : fn(value);
+    return {
+        temperature: units.temperature(metrics.temperature),
+        temperatureMin: convert(metrics.temperatureMin, units.temperature),
+        precipitation: units.precipitation(metrics.precipitation),
+        precipitationProbability: convert(metrics.precipitationProbability, value => Math.round(value * 100)),
+        windSpeed: units.windSpeed(metrics.windSpeed),
+        humidity: Math.round(metrics.humidity)
+    };
+}
+
+// Same key for repeats of a city within one request, before any lookup
+function comparisonKey(city) {
+    return typeof city === 'object'
+        ? `${roundCoordinate(parseFloat(city.lat))},${roundCoordinate(parseFloat(city.lon))}`
+        : normalizeQuery(city);
+}
+
+// A city that failed, with the category and status a single-city request
+// would have answered with
+function comparisonError(city, error) {
+    const { status, body } = describeApiError(error);
+    return {
+        entry: {
+            query: city,
+            city: typeof city === 'object' ? `${city.lat}, ${city.lon}` : city.trim(),
+            status,
+            ...body
+        }
+    };
+}
+
+// Coordinates name the place their weather came from, e.g. "Paris, FR", which
+// is the place a city name resolving to that name and country stands for
+function samePlace(a, b) {
+    if (a.place.id === b.place.id) {
+        return true;
+    }
+    const fromCoordinates = typeof a.city === 'object' || typeof b.city === 'object';
+    return fromCoordinates && Boolean(a.place.country) &&
+        a.place.name === b.place.name && a.place.country === b.place.country;
+}
+
+async function compareCity(req, city, place) {
+    const { units, language } = req;
+    const { days } = req.comparisonOptions;
+
+    const current = await fetchPlaceCurrent(place, language);
+    const data = current.weather.value;
+    place = current.place;
+    const entry = {
+        query: city,
+        id: place.id,
+        city: place.name,
+        country: place.country,
+        temperature: units.temperature(data.temperature),
+        description: data.description,
+        icon: data.icon,
+        humidity: data.humidity,
+        windSpeed: units.windSpeed(data.windSpeed),
+        source: data.source
+    };
+
+    let metrics = currentMetrics(data);
+    if (days > 0) {
+        const forecast = await fetchCached('forecast', 'forecast', place.lat, place.lon, language);
+        const daily = aggregateDaily(forecast.value.slots, forecast.value.timezone, days);
+        entry.forecast = daily.map(day => formatForecastDay(day, units, language));
+        metrics = forecastMetrics(daily);
+    }
+    entry.summary = formatComparisonSummary(metrics, units);
 
-// Helper function to handle API errors
-const handleApiError = (error, res, context) => {
-    console.error(`Error in ${context}:`, error.message);
+    return { entry, metrics };
+}
 
-    if (error.response) {
-        const status = error.response.status;
-        const message = error.response.data?.message || 'API request failed';
+// The comparison response body. Repeated cities are compared once, in the
+// position of their first mention: first by query, then by the location they
+// resolve to (for coordinates, the place their weather is reported for). A
+// city that fails gets an error entry and is left out of the
+// ranking. Upstream calls are limited to a few at a time; `onResult` is called
+// with each city's entry as it completes.
+async function buildComparison(req, cities, onResult = () => {}) {
+    const { units, language } = req;
+    const { days, rankBy, weights } = req.comparisonOptions;
 
-        if (status === 404) {
-            return res.status(404).json({
-                error: 'City Not Found',
-                message: 'The specified city could not be found'
-            });
-        } else if (status === 401) {
-            return res.status(500).json({
-                error: 'API Configuration Error',
-                message: 'Invalid API key configuration'
-            });
-        } else {
-            return res.status(status).json({
-                error: 'Weather Service Error',
-                message: message
-            });
+    const duplicates = [];
+    const keys = new Map();
+    const queries = cities.filter(city => {
+        const key = comparisonKey(city);
+        if (keys.has(key)) {
+            duplicates.push({ query: city, duplicateOf: keys.get(key) });
+            return false;
         }
-    }
+        keys.set(key, city);
+        return true;
+    });
 
-    res.status(500).json({
-        error: 'Service Unavailable',
-        message: 'Weather service is temporarily unavailable'
+    // Coordinates only get an ID, and a name, from their current weather (which
+    // compareCity then reads from the cache)
+    const places = await mapWithConcurrency(queries, BATCH_CONCURRENCY, async (city) => {
+        try {
+            const place = await resolveEntry(city);
+            return place.id ? place : (await fetchPlaceCurrent(place, language)).place;
+        } catch (error) {
+            return error;
+        }
+    });
+
+    const seen = [];
+    const pending = [];
+    const results = [];
+    queries.forEach((city, index) => {
+        const place = places[index];
+        if (!(place instanceof Error)) {
+            const original = seen.find(other => samePlace(other, { city, place }));
+            if (original) {
+                duplicates.push({ query: city, duplicateOf: original.city });
+                return;
+            }
+            seen.push({ city, place });
+        }
+        pending.push({ city, place, position: results.length });
+        results.push(null);
     });
-};
 
-// Get coordinates for a city
-async function getCityCoordinates(cityName) {
-    const response = await axios.get(`${GEO_BASE_URL}/direct`, {
-        params: {
-            q: cityName,
-            limit: 1,
-            appid: WEATHER_API_KEY
+    await mapWithConcurrency(pending, BATCH_CONCURRENCY, async ({ city, place, position }) => {
+        let result;
+        try {
+            if (place instanceof Error) {
+                throw place;
+            }
+            result = await compareCity(req, city, place);
+        } catch (error) {
+            logger.error('Error comparing city', { city, error: error.message });
+            result = comparisonError(city, error);
         }
+        results[position] = result;
+        onResult(result.entry, position);
     });
 
-    if (response.data.length === 0) {
-        throw new Error('City not found');
+    const ranked = results.filter(result => result.metrics);
+    if (ranked.length > 0) {
+        const metrics = ranked.map(result => result.metrics);
+        scoreMetrics(metrics, weights).forEach((score, index) => {
+            metrics[index].score = score;
+            ranked[index].entry.score = score;
+        });
+        rankMetrics(metrics, rankBy).forEach((rank, index) => {
+            ranked[index].entry.rank = rank;
+        });
     }
 
     return {
-        lat: response.data[0].lat,
-        lon: response.data[0].lon,
-        name: response.data[0].name,
-        country: response.data[0].country,
-        state: response.data[0].state
+        comparison: results.map(result => result.entry),
+        duplicates,
+        counts: {
+            requested: cities.length,
+            compared: ranked.length,
+            failed: results.length - ranked.length,
+            duplicates: duplicates.length
+        },
+        days,
+        rankBy,
+        weights,
+        units: units.labels,
+        language,
+        timestamp: new Date().toISOString()
     };
 }
 
-// Routes
-
-// Health check
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        version: '1.0.0'
-    });
-});
+const NDJSON_TYPE = 'application/x-ndjson';
 
-// Get current weather for a city
-app.get('/api/weather/current/:city', validateApiKey, validateCity, async (req, res) => {
+// Compare current weather or the coming days' forecast between cities, ranked
+// by the chosen criterion. With "Accept: application/x-ndjson" the response is
+// streamed as one JSON line per city as it completes, then a "complete" line
+// with the ranked comparison.
+app.post('/api/weather/compare', validateApiKey, validateUnits, resolveLanguage, validateComparisonOptions, async (req, res) => {
     try {
-        const { city } = req.params;
-        const coords = await getCityCoordinates(city);
+        const { cities } = req.body;
 
-        const weatherResponse = await axios.get(`${WEATHER_BASE_URL}/weather`, {
-            params: {
-                lat: coords.lat,
-                lon: coords.lon,
-                appid: WEATHER_API_KEY,
-                units: 'metric'
-            }
-        });
+        const problem = checkComparisonCities(cities);
+        if (problem) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                message: problem
+            });
+        }
 
-        const data = weatherResponse.data;
+        if (req.accepts(['json', NDJSON_TYPE]) !== NDJSON_TYPE) {
+            return res.json(await buildComparison(req, cities));
+        }
 
-        res.json({
-            location: {
-                name: coords.name,
-                country: coords.country,
-                state: coords.state,
-                coordinates: [coords.lat, coords.lon]
-            },
-            current: {
-                temperature: Math.round(data.main.temp),
-                feelsLike: Math.round(data.main.feels_like),
-                humidity: data.main.humidity,
-                pressure: data.main.pressure,
-                visibility: Math.round((data.visibility || 10000) / 1000),
-                uvIndex: null, // Would need separate API call
-                description: data.weather[0].description,
-                icon: data.weather[0].icon,
-                windSpeed: Math.round(data.wind?.speed * 3.6 || 0), // Convert m/s to km/h
-                windDirection: data.wind?.deg || 0,
-                cloudiness: data.clouds?.all || 0
-            },
-            timestamp: new Date().toISOString()
+        res.type(NDJSON_TYPE);
+        // Keep proxies from holding lines back
+        res.set('X-Accel-Buffering', 'no');
+        const send = line => res.write(`${JSON.stringify(line)}\n`);
+        const body = await buildComparison(req, cities, (entry, index) => {
+            send({ type: 'result', index, entry });
         });
+        send({ type: 'complete', ...body });
+        res.end();
     } catch (error) {
-        handleApiError(error, res, 'current weather');
+        if (res.headersSent) {
+            logger.error('Error in weather comparison stream', { error: error.message });
+            return res.end();
+        }
+        handleApiError(error, res, 'weather comparison');
     }
 });
 
-// Get 5-day forecast for a city
-app.get('/api/weather/forecast/:city', validateApiKey, validateCity, async (req, res) => {
+// Current conditions for many locations in one round trip, e.g. to refresh
+// the dashboard's favorites. Upstream calls are limited to a few at a time;
+// cached locations cost nothing.
+app.post('/api/weather/batch', validateApiKey, validateUnits, resolveLanguage, async (req, res) => {
     try {
-        const { city } = req.params;
-        const coords = await getCityCoordinates(city);
+        const entries = req.body?.locations;
 
-        const forecastResponse = await axios.get(`${WEATHER_BASE_URL}/forecast`, {
-            params: {
-                lat: coords.lat,
-                lon: coords.lon,
-                appid: WEATHER_API_KEY,
-                units: 'metric'
-            }
-        });
+        if (!Array.isArray(entries) || entries.length === 0) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                message: 'Locations array is required'
+            });
+        }
 
-        const forecastData = forecastResponse.data.list;
+        if (entries.length > MAX_BATCH_LOCATIONS) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                message: `Maximum ${MAX_BATCH_LOCATIONS} locations allowed per batch`
+            });
+        }
 
-        // Group by day and get daily summaries
-        const dailyForecasts = [];
-        const processedDays = new Set();
+        const problem = checkLocationEntries(entries);
+        if (problem) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                message: problem
+            });
+        }
 
-        forecastData.forEach(item => {
-            const date = new Date(item.dt * 1000);
-            const dayKey = date.toDateString();
+        const { units } = req;
+        const results = await mapWithConcurrency(entries, BATCH_CONCURRENCY, async (entry) => {
+            try {
+                const { place, weather } = await fetchCurrentEntry(entry, req.language);
+                const data = weather.value;
 
-            if (!processedDays.has(dayKey) && dailyForecasts.length < 5) {
-                dailyForecasts.push({
-                    date: date.toISOString().split('T')[0],
-                    dayName: date.toLocaleDateString('en-US', { weekday: 'long' }),
-                    temperature: {
-                        min: Math.round(item.main.temp_min),
-                        max: Math.round(item.main.temp_max)
+                return {
+                    query: entry,
+                    location: formatLocation(place),
+                    current: {
+                        temperature: units.temperature(data.temperature),
+                        feelsLike: units.temperature(data.feelsLike),
+                        humidity: data.humidity,
+                        description: data.description,
+                        icon: data.icon,
+                        windSpeed: units.windSpeed(data.windSpeed)
                     },
-                    description: item.weather[0].description,
-                    icon: item.weather[0].icon,
-                    humidity: item.main.humidity,
-                    windSpeed: Math.round(item.wind?.speed * 3.6 || 0),
-                    precipitation: Math.round((item.rain?.['3h'] || 0) * 100) / 100
-                });
-                processedDays.add(dayKey);
+                    source: data.source,
+                    // When the data was fetched upstream, not when it was served from cache
+                    updatedAt: new Date(Date.now() - weather.age * 1000).toISOString()
+                };
+            } catch (error) {
+                // Same shape as a failed city in a comparison
+                logger.error('Error in batch weather item', { query: entry, error: error.message });
+                const { status, body } = describeApiError(error);
+                return { query: entry, status, ...body };
             }
         });
 
         res.json({
-            location: {
-                name: coords.name,
-                country: coords.country,
-                state: coords.state
-            },
-            forecast: dailyForecasts,
+            results,
+            units: units.labels,
+            language: req.language,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        handleApiError(error, res, 'forecast');
+        handleApiError(error, res, 'batch weather');
     }
 });
 
-// Compare weather between multiple cities
-app.post('/api/weather/compare', validateApiKey, async (req, res) => {
+const EXPORT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    ics: 'text/calendar; charset=utf-8'
+};
+
+function exportFilename(...parts) {
+    const slug = parts.join('-').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'export'}-${new Date().toISOString().slice(0, 10)}`;
+}
+
+// Sends a response body as a download; `renderers` turn it into the non-JSON formats
+function sendExport(req, res, body, name, renderers) {
+    const format = req.exportFormat;
+    res.attachment(`${name}.${format}`);
+    if (format === 'json') {
+        return res.json(body);
+    }
+    res.type(EXPORT_TYPES[format]).send(renderers[format](body));
+}
+
+async function sendForecastExport(req, res, place) {
+    const { cached, body } = await buildForecast(req, place);
+    setCacheHeaders(res, cached);
+    sendExport(req, res, body, exportFilename('forecast', body.location.name), {
+        csv: forecastCsv,
+        ics: forecastCalendar
+    });
+}
+
+const FORECAST_EXPORT_FORMATS = ['json', 'csv', 'ics'];
+
+// Download the 5-day forecast for a city name or location ID. The iCalendar
+// format can be subscribed to, giving one all-day event per forecast day.
+app.get('/api/export/forecast/:city', validateApiKey, validateCity, validateUnits, resolveLanguage, validateExportFormat(FORECAST_EXPORT_FORMATS), async (req, res) => {
     try {
-        const { cities } = req.body;
+        const place = await locations.resolve(req.params.city);
+        await sendForecastExport(req, res, place);
+    } catch (error) {
+        handleApiError(error, res, 'forecast export');
+    }
+});
 
-        if (!Array.isArray(cities) || cities.length === 0) {
-            return res.status(400).json({
-                error: 'Validation Error',
-                message: 'Cities array is required'
-            });
-        }
+// Download the 5-day forecast for a canonical location ID
+app.get('/api/export/forecast/by-id/:locationId', validateApiKey, validateLocationId, validateUnits, resolveLanguage, validateExportFormat(FORECAST_EXPORT_FORMATS), async (req, res) => {
+    try {
+        const place = await locations.resolveId(req.params.locationId);
+        await sendForecastExport(req, res, place);
+    } catch (error) {
+        handleApiError(error, res, 'forecast export');
+    }
+});
+
+// Download a comparison. A GET with one ?cities= per city (names or location
+// IDs), so spreadsheets can import the URL directly.
+app.get('/api/export/compare', validateApiKey, validateUnits, resolveLanguage, validateComparisonOptions, validateExportFormat(['json', 'csv']), async (req, res) => {
+    try {
+        const cities = [].concat(req.query.cities ?? []);
 
-        if (cities.length > 5) {
+        const problem = checkComparisonCities(cities);
+        if (problem) {
             return res.status(400).json({
                 error: 'Validation Error',
-                message: 'Maximum 5 cities allowed for comparison'
+                message: problem
             });
         }
 
-        const weatherPromises = cities.map(async (city) => {
-            try {
-                const coords = await getCityCoordinates(city);
-                const weatherResponse = await axios.get(`${WEATHER_BASE_URL}/weather`, {
-                    params: {
-                        lat: coords.lat,
-                        lon: coords.lon,
-                        appid: WEATHER_API_KEY,
-                        units: 'metric'
-                    }
-                });
-
-                const data = weatherResponse.data;
-                return {
-                    city: coords.name,
-                    country: coords.country,
-                    temperature: Math.round(data.main.temp),
-                    description: data.weather[0].description,
-                    icon: data.weather[0].icon,
-                    humidity: data.main.humidity,
-                    windSpeed: Math.round(data.wind?.speed * 3.6 || 0)
-                };
-            } catch (error) {
-                return {
-                    city: city,
-                    error: 'Failed to fetch weather data'
-                };
-            }
-        });
-
-        const results = await Promise.all(weatherPromises);
-
-        res.json({
-            comparison: results,
-            timestamp: new Date().toISOString()
-        });
+        const body = await buildComparison(req, cities);
+        sendExport(req, res, body, exportFilename('comparison'), { csv: comparisonCsv });
     } catch (error) {
-        handleApiError(error, res, 'weather comparison');
+        handleApiError(error, res, 'comparison export');
     }
 });
 
+// Live updates are keyed by "<language>:<locationId>" and carry metric data;
+// each stream converts them to its own units
+async function fetchLiveUpdate(key) {
+    const [language, locationId] = key.split(':');
+    const place = await locations.resolveId(locationId);
+    const [weather, { alerts, uvIndex }] = await Promise.all([
+        fetchCached('current', 'current', place.lat, place.lon, language),
+        collectAlerts(place, language)
+    ]);
+
+    return {
+        locationId,
+        current: weather.value,
+        alerts,
+        uvIndex,
+        updatedAt: new Date(Date.now() - weather.age * 1000).toISOString()
+    };
+}
+
+// Pushed when conditions or the set of active alerts change, not on every refetch
+function liveFingerprint(update) {
+    const { temperature, feelsLike, humidity, description, icon, windSpeed } = update.current;
+    const alerts = update.alerts.map(alert => [alert.type, alert.severity, alert.event]);
+    return JSON.stringify([temperature, feelsLike, humidity, description, icon, windSpeed, alerts]);
+}
+
+const liveUpdates = createUpdateHub({ bus: updateBus, fetchUpdate: fetchLiveUpdate, fingerprint: liveFingerprint });
+
+const STREAM_HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Server-Sent Events stream of current conditions and alerts for the given
+// location IDs: the current data on connect, then whenever it changes
+app.get('/api/stream', validateApiKey, validateUnits, resolveLanguage, validateStreamLocations, (req, res) => {
+    const { units } = req;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (update) => {
+        const event = {
+            locationId: update.locationId,
+            current: formatCurrent(update.current, units, update.uvIndex),
+            alerts: update.alerts.map(alert => formatAlert(alert, units)),
+            units: units.labels,
+            language: req.language,
+            source: update.current.source,
+            updatedAt: update.updatedAt
+        };
+        res.write(`event: weather\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    const keys = req.streamLocations.map(id => `${req.language}:${id}`);
+    const unsubscribe = liveUpdates.subscribe(keys, send);
+
+    // Comment lines keep the load balancer from timing out a quiet stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Languages offered by the API and dashboard, with the one negotiated for this request
+app.get('/api/languages', resolveLanguage, (req, res) => {
+    res.json({
+        language: req.language,
+        supported: Object.entries(SUPPORTED_LANGUAGES).map(([code, name]) => ({ code, name })),
+        timestamp: new Date().toISOString()
+    });
+});
+
 // Search cities by name
 app.get('/api/cities/search/:query', validateApiKey, async (req, res) => {
     try {
@@ -318,19 +1677,16 @@ app.get('/api/cities/search/:query', validateApiKey, async (req, res) => {
             });
         }
 
-        const response = await axios.get(`${GEO_BASE_URL}/direct`, {
-            params: {
-                q: query,
-                limit: 10,
-                appid: WEATHER_API_KEY
-            }
-        });
+        const results = await fetchCached('geocode', 'geocode', query.trim().toLowerCase(), 10);
 
-        const cities = response.data.map(city => ({
-            name: city.name,
-            country: city.country,
-            state: city.state,
-            coordinates: [city.lat, city.lon]
+        setCacheHeaders(res, results);
+        const places = await locations.registerResults(results.value);
+        const cities = places.map(place => ({
+            id: place.id,
+            name: place.name,
+            country: place.country,
+            state: place.state,
+            coordinates: [place.lat, place.lon]
         }));
 
         res.json({
@@ -344,46 +1700,23 @@ app.get('/api/cities/search/:query', validateApiKey, async (req, res) => {
 });
 
 // Reverse geocoding - get city from coordinates
-app.get('/api/location/reverse/:lat/:lon', validateApiKey, async (req, res) => {
+app.get('/api/location/reverse/:lat/:lon', validateApiKey, validateCoordinates, async (req, res) => {
     try {
-        const { lat, lon } = req.params;
-
-        // Validate coordinates
-        const latitude = parseFloat(lat);
-        const longitude = parseFloat(lon);
-
-        if (isNaN(latitude) || isNaN(longitude)) {
-            return res.status(400).json({
-                error: 'Validation Error',
-                message: 'Invalid coordinates provided'
-            });
-        }
-
-        if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
-            return res.status(400).json({
-                error: 'Validation Error',
-                message: 'Coordinates out of valid range'
-            });
-        }
+        const { lat: latitude, lon: longitude } = req.coordinates;
 
-        const response = await axios.get(`${GEO_BASE_URL}/reverse`, {
-            params: {
-                lat: latitude,
-                lon: longitude,
-                limit: 1,
-                appid: WEATHER_API_KEY
-            }
-        });
+        const response = await fetchCached('geocode', 'reverseGeocode', latitude, longitude, 1);
 
-        if (response.data.length === 0) {
+        if (response.value.length === 0) {
             return res.status(404).json({
                 error: 'Location Not Found',
                 message: 'No city found for the provided coordinates'
             });
         }
 
-        const location = response.data[0];
+        const [location] = await locations.registerResults(response.value);
+        setCacheHeaders(res, response);
         res.json({
+            id: location.id,
             name: location.name,
             country: location.country,
             state: location.state,
@@ -395,9 +1728,238 @@ app.get('/api/location/reverse/:lat/:lon', validateApiKey, async (req, res) => {
     }
 });
 
+function sendSession(res, user, status = 200) {
+    res.status(status).json({
+        token: auth.issueToken(user.id),
+        expiresIn: auth.tokenTtl,
+        user
+    });
+}
+
+// Create an account
+app.post('/api/auth/signup', validateCredentials, async (req, res) => {
+    try {
+        const { email, password } = req.credentials;
+        const user = accounts.createUser(email, await auth.hashPassword(password));
+        sendSession(res, user, 201);
+    } catch (error) {
+        handleAccountError(error, res, 'signup');
+    }
+});
+
+// Exchange email and password for an access token
+app.post('/api/auth/login', validateCredentials, async (req, res) => {
+    try {
+        const { email, password } = req.credentials;
+        const credentials = accounts.findCredentials(email);
+
+        if (!credentials || !(await auth.verifyPassword(password, credentials.passwordHash))) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Invalid email or password'
+            });
+        }
+
+        sendSession(res, credentials.user);
+    } catch (error) {
+        handleAccountError(error, res, 'login');
+    }
+});
+
+// Current user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({ user: req.user });
+});
+
+const MAX_LABEL_LENGTH = 100;
+
+// Returns a validation message, or null when the label is usable (null clears it)
+function checkLabel(label) {
+    if (label === undefined || label === null) {
+        return null;
+    }
+    if (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH) {
+        return `Label must be a string of at most ${MAX_LABEL_LENGTH} characters`;
+    }
+    return null;
+}
+
+// City names and countries sent with a favorite are stored as given when
+// it comes with a location ID, so they're held to the same rules as labels
+function checkPlaceText(field, value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value !== 'string' || value.length > MAX_LABEL_LENGTH) {
+        return `${field} must be a string of at most ${MAX_LABEL_LENGTH} characters`;
+    }
+    return null;
+}
+
+function validationError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Turn a favorite from the request body into a canonical location. Favorites
+// saved before location IDs existed only have a name and country.
+async function resolveFavorite(favorite) {
+    const { locationId, name, country, label } = favorite || {};
+
+    if (locationId !== undefined && !isLocationId(locationId)) {
+        throw validationError('Invalid location ID format');
+    }
+    const problem = checkLabel(label) || checkPlaceText('Name', name) || checkPlaceText('Country', country);
+    if (problem) {
+        throw validationError(problem);
+    }
+
+    if (locationId && name) {
+        return { locationId, name, country, label };
+    }
+    if (!locationId && !name) {
+        throw validationError('A location ID or city name is required');
+    }
+
+    const place = await locations.resolve(locationId || (country ? `${name}, ${country}` : name));
+    return { locationId: place.id, name: place.name, country: place.country, label };
+}
+
+// List the user's favorites in display order
+app.get('/api/favorites', requireAuth, (req, res) => {
+    res.json({ favorites: accounts.listFavorites(req.user.id) });
+});
+
+// Add a favorite at the end of the list
+app.post('/api/favorites', requireAuth, async (req, res) => {
+    try {
+        const favorite = await resolveFavorite(req.body);
+        res.status(201).json({ favorite: accounts.addFavorite(req.user.id, favorite) });
+    } catch (error) {
+        handleAccountError(error, res, 'add favorite');
+    }
+});
+
+// Merge favorites kept in the browser into the account; existing ones are kept
+app.post('/api/favorites/merge', requireAuth, async (req, res) => {
+    try {
+        const incoming = req.body?.favorites;
+        if (!Array.isArray(incoming) || incoming.length > 100) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                message: 'Favorites array is required (max 100)'
+            });
+        }
+
+        // Entries that no longer resolve are reported rather than failing the merge
+        const skipped = [];
+        const resolved = [];
+        for (const favorite of incoming) {
+            try {
+                resolved.push(await resolveFavorite(favorite));
+            } catch (error) {
+                skipped.push({ favorite, message: error.message });
+            }
+        }
+
+        res.json({
+            favorites: accounts.mergeFavorites(req.user.id, resolved),
+            skipped
+        });
+    } catch (error) {
+        handleAccountError(error, res, 'merge favorites');
+    }
+});
+
+// Set the full display order
+app.put('/api/favorites/order', requireAuth, (req, res) => {
+    try {
+        const ids = req.body?.ids;
+        if (!Array.isArray(ids) || !ids.every(Number.isInteger)) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                message: 'IDs array is required'
+            });
+        }
+
+        res.json({ favorites: accounts.reorderFavorites(req.user.id, ids) });
+    } catch (error) {
+        handleAccountError(error, res, 'reorder favorites');
+    }
+});
+
+// Change a favorite's label or move it to another position
+app.patch('/api/favorites/:favoriteId', requireAuth, validateFavoriteId, (req, res) => {
+    try {
+        const { label, position } = req.body || {};
+
+        const labelProblem = checkLabel(label);
+        if (labelProblem) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                message: labelProblem
+            });
+        }
+        if (position !== undefined && !Number.isInteger(position)) {
+            return res.status(400).json({
+                error: 'Validation Error',
+                message: 'Position must be an integer'
+            });
+        }
+
+        res.json({ favorite: accounts.updateFavorite(req.user.id, req.favoriteId, { label, position }) });
+    } catch (error) {
+        handleAccountError(error, res, 'update favorite');
+    }
+});
+
+// Remove a favorite
+app.delete('/api/favorites/:favoriteId', requireAuth, validateFavoriteId, (req, res) => {
+    try {
+        accounts.removeFavorite(req.user.id, req.favoriteId);
+        res.status(204).end();
+    } catch (error) {
+        handleAccountError(error, res, 'remove favorite');
+    }
+});
+
+// List API keys with their usage: totals since issue, and the points used in
+// the current minute and day windows
+app.get('/api/admin/keys', requireAdmin, async (req, res) => {
+    try {
+        const keys = await Promise.all(apiKeys.listKeys().map(async (apiKey) => {
+            const [minute, day] = await Promise.all(apiKeyLimits(apiKey).map(limit => rateLimiter.usage(`key:${apiKey.id}`, limit)));
+            return { ...apiKey, usage: { minute, day } };
+        }));
+        res.json({ keys });
+    } catch (error) {
+        handleAccountError(error, res, 'list API keys');
+    }
+});
+
+// Issue an API key. The key is only ever returned here.
+app.post('/api/admin/keys', requireAdmin, validateKeyRequest, (req, res) => {
+    try {
+        res.status(201).json({ apiKey: apiKeys.issueKey(req.keyRequest) });
+    } catch (error) {
+        handleAccountError(error, res, 'issue API key');
+    }
+});
+
+// Revoke an API key; requests using it are refused from then on
+app.delete('/api/admin/keys/:keyId', requireAdmin, validateKeyId, (req, res) => {
+    try {
+        apiKeys.revokeKey(req.keyId);
+        res.status(204).end();
+    } catch (error) {
+        handleAccountError(error, res, 'revoke API key');
+    }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
+    logger.error('Unhandled error', { error: err.message, stack: err.stack });
     res.status(500).json({
         error: 'Internal Server Error',
         message: 'An unexpected error occurred'
@@ -414,11 +1976,21 @@ app.use((req, res) => {
 
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Weather Dashboard Server running on port ${PORT}`);
-    console.log(`Health check: http://localhost:${PORT}/health`);
+    historyRecorder.start();
+    logger.info('Weather Dashboard Server started', {
+        port: Number(PORT),
+        healthCheck: `http://localhost:${PORT}/health`,
+        cache: cache.store.name,
+        updateBus: updateBus.name,
+        historyInterval: historyRecorder.interval,
+        providers: provider.name
+    });
+
+    if (auth.ephemeral) {
+        logger.warn('AUTH_SECRET not set; sessions will not survive a restart or work across servers');
+    }
 
-    if (!WEATHER_API_KEY) {
-        console.warn('⚠️  WARNING: OPENWEATHER_API_KEY environment variable not found!');
-        console.log('Please set your OpenWeatherMap API key in the .env file');
+    if (!provider.isConfigured()) {
+        logger.warn('OPENWEATHER_API_KEY environment variable not found; set your OpenWeatherMap API key in the .env file');
     }
 });
\ No newline at end of file